@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Quote Store - Quotes the fake backend has issued, kept for lookup by ID
+ *
+ * The live rating API persists every quote it rates so customer service can
+ * pull it up from its quote ID. The fake backend keeps them in memory for the
+ * lifetime of the server, which is all a test run needs.
+ *
+ * A stored quote is the rate response plus the inputs it was rated from,
+ * with defaults applied (a request without `coverage` is stored as 'none'):
+ * { quoteId, premium, currency, calculatedAt, breakdown, inputs: { revenue, state, business, coverage } }
+ *
+ * @example
+ * import { createQuoteStore } from './quoteStore.js';
+ *
+ * const store = createQuoteStore();
+ * store.save({ revenue: 50000, state: 'WI', business: 'retail' }, rateResponseBody);
+ * store.get(rateResponseBody.quoteId).inputs.coverage; // 'none'
+ */
+
+/**
+ * Default number of quotes kept before the oldest are dropped
+ * @type {number}
+ */
+export const DEFAULT_QUOTE_LIMIT = 10000;
+
+/**
+ * Create an in-memory quote store
+ *
+ * @param {Object} [options]
+ * @param {number} [options.limit=DEFAULT_QUOTE_LIMIT] - Quotes kept; the oldest go first
+ * @returns {{ save: Function, get: Function, size: Function }} Store
+ *
+ * @example
+ * const store = createQuoteStore({ limit: 2 });
+ */
+export function createQuoteStore({ limit = DEFAULT_QUOTE_LIMIT } = {}) {
+  // Map keeps insertion order, so the first key is always the oldest quote
+  const quotes = new Map();
+
+  return {
+    /**
+     * Keep a rated quote
+     *
+     * @param {Object} request - Validated rate request body
+     * @param {Object} response - Successful rate response body (must have quoteId)
+     * @returns {Object} The stored quote
+     */
+    save(request, response) {
+      const { revenue, state, business, coverage = 'none' } = request;
+      const quote = structuredClone({ ...response, inputs: { revenue, state, business, coverage } });
+
+      quotes.set(quote.quoteId, quote);
+      while (quotes.size > limit) {
+        quotes.delete(quotes.keys().next().value);
+      }
+      return structuredClone(quote);
+    },
+
+    /**
+     * Find a quote by ID
+     *
+     * @param {string} quoteId - Quote ID (e.g., 'Q-1730822400000-K3J9X2')
+     * @returns {Object|null} Copy of the stored quote, or null when unknown
+     */
+    get(quoteId) {
+      return quotes.has(quoteId) ? structuredClone(quotes.get(quoteId)) : null;
+    },
+
+    /**
+     * @returns {number} Number of quotes currently kept
+     */
+    size() {
+      return quotes.size;
+    },
+  };
+}
@@ -0,0 +1,202 @@
+/**
+ * @fileoverview Rating Engine - Deterministic premium calculation for the fake backend
+ *
+ * This module mirrors the contract of the live rating API
+ * (https://rating-api.jeremy-vajko.workers.dev/rate) so tests can run
+ * without the network. It is pure: no I/O, no clock except for quote metadata.
+ * States, business types, coverage tiers and their factors come from
+ * shared/productRules.js, the same rules the quote page renders.
+ *
+ * CONTRACT (formally: shared/rating-api.openapi.json):
+ * - Success: { premium, currency, quoteId, calculatedAt, breakdown }
+ * - 400: { error: 'Missing required fields' | 'Invalid revenue' | 'Invalid state' | 'Invalid business type'
+ *          | 'Invalid coverage' | 'Coverage not available in state' }
+ *
+ * PREMIUM FORMULA:
+ * premium = base × stateFactor × businessFactor × coverageFactor
+ * where base = revenue × BASE_RATE (rounded to cents)
+ *
+ * The success response itemizes each component in `breakdown` so a wrong
+ * premium can be traced to the factor that caused it.
+ *
+ * COVERAGE:
+ * `coverage` is optional and defaults to 'none'. Only V2 states offer the
+ * silver/gold/platinum tiers; V1 states accept 'none' only.
+ *
+ * @example
+ * import { rateQuote } from './ratingEngine.js';
+ *
+ * const { status, body } = rateQuote({ revenue: 50000, state: 'WI', business: 'retail' });
+ * // status === 200, body.premium === 1150
+ */
+
+import { PRODUCT_RULES, V2_STATES } from '../shared/productRules.js';
+
+/**
+ * Premium charged per dollar of annual revenue before any factors
+ * @type {number}
+ */
+export const BASE_RATE = PRODUCT_RULES.baseRate;
+
+/**
+ * ISO 4217 currency every premium is quoted in
+ * @type {string}
+ */
+export const CURRENCY = PRODUCT_RULES.currency;
+
+/**
+ * State rating factors
+ * @type {Object<string, number>}
+ */
+export const STATE_FACTORS = Object.fromEntries(
+  PRODUCT_RULES.states.map((state) => [state.code, state.factor])
+);
+
+/**
+ * Business class rating factors
+ * @type {Object<string, number>}
+ */
+export const BUSINESS_FACTORS = Object.fromEntries(
+  PRODUCT_RULES.businessTypes.map((business) => [business.value, business.factor])
+);
+
+/**
+ * Coverage tier loadings applied on top of the base premium
+ * @type {Object<string, number>}
+ */
+export const COVERAGE_LOADINGS = Object.fromEntries(
+  PRODUCT_RULES.coverageTiers.map((tier) => [tier.value, tier.loading])
+);
+
+/**
+ * States where the new coverage tiers are available (V2 states)
+ * @type {string[]}
+ */
+export const COVERAGE_STATES = V2_STATES;
+
+/**
+ * Validate a rate request body
+ * Checks run in the same order as the live API, so the first problem wins.
+ *
+ * @param {Object} body - Parsed JSON request body
+ * @returns {string|null} Error message, or null when the request is valid
+ *
+ * @example
+ * validateRateRequest({ state: 'CA', business: 'retail' }); // 'Missing required fields'
+ */
+export function validateRateRequest(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return 'Missing required fields';
+  }
+
+  const { revenue, state, business, coverage = 'none' } = body;
+
+  if (revenue === undefined || !state || !business) {
+    return 'Missing required fields';
+  }
+
+  if (typeof revenue !== 'number' || !Number.isFinite(revenue) || revenue < 0) {
+    return 'Invalid revenue';
+  }
+
+  if (!Object.hasOwn(STATE_FACTORS, state)) {
+    return 'Invalid state';
+  }
+
+  if (!Object.hasOwn(BUSINESS_FACTORS, business)) {
+    return 'Invalid business type';
+  }
+
+  if (!Object.hasOwn(COVERAGE_LOADINGS, coverage)) {
+    return 'Invalid coverage';
+  }
+
+  if (coverage !== 'none' && !COVERAGE_STATES.includes(state)) {
+    return 'Coverage not available in state';
+  }
+
+  return null;
+}
+
+/**
+ * Itemize the premium components for a valid rate request
+ *
+ * @param {Object} request - Validated request
+ * @param {number} request.revenue - Annual revenue in dollars
+ * @param {string} request.state - State code (e.g., 'WI')
+ * @param {string} request.business - Business type (e.g., 'retail')
+ * @param {string} [request.coverage='none'] - Coverage tier ('none', 'silver', 'gold', 'platinum')
+ * @returns {{ base: number, stateFactor: number, businessFactor: number, coverageFactor: number }}
+ *   Revenue base in dollars (rounded to cents) and the multiplicative factors
+ *
+ * @example
+ * calculateBreakdown({ revenue: 50000, state: 'WI', business: 'retail', coverage: 'gold' });
+ * // { base: 1000, stateFactor: 1.15, businessFactor: 1, coverageFactor: 1.25 }
+ */
+export function calculateBreakdown({ revenue, state, business, coverage = 'none' }) {
+  return {
+    base: roundToCents(revenue * BASE_RATE),
+    stateFactor: STATE_FACTORS[state],
+    businessFactor: BUSINESS_FACTORS[business],
+    coverageFactor: COVERAGE_LOADINGS[coverage],
+  };
+}
+
+/**
+ * Calculate the premium for a valid rate request
+ *
+ * @param {Object} request - Validated request (see calculateBreakdown)
+ * @returns {number} Annual premium in dollars, rounded to cents
+ *
+ * @example
+ * calculatePremium({ revenue: 50000, state: 'WI', business: 'retail' }); // 1150
+ * calculatePremium({ revenue: 50000, state: 'WI', business: 'retail', coverage: 'gold' }); // 1437.5
+ */
+export function calculatePremium(request) {
+  const { base, stateFactor, businessFactor, coverageFactor } = calculateBreakdown(request);
+  return roundToCents(base * stateFactor * businessFactor * coverageFactor);
+}
+
+function roundToCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Generate a quote ID in the live API format: Q-<timestamp>-<random>
+ *
+ * @param {number} [now=Date.now()] - Timestamp in milliseconds
+ * @returns {string} Quote ID (e.g., 'Q-1730822400000-K3J9X2')
+ */
+export function generateQuoteId(now = Date.now()) {
+  const random = Math.random().toString(36).slice(2, 8).toUpperCase().padEnd(6, '0');
+  return `Q-${now}-${random}`;
+}
+
+/**
+ * Rate a request end to end (validate + calculate + quote metadata)
+ *
+ * @param {Object} body - Parsed JSON request body
+ * @returns {{ status: number, body: Object }} HTTP status and response body
+ *
+ * @example
+ * const { status, body } = rateQuote({ revenue: -1, state: 'WI', business: 'retail' });
+ * // status === 400, body.error === 'Invalid revenue'
+ */
+export function rateQuote(body) {
+  const error = validateRateRequest(body);
+  if (error) {
+    return { status: 400, body: { error } };
+  }
+
+  const now = Date.now();
+  return {
+    status: 200,
+    body: {
+      premium: calculatePremium(body),
+      currency: CURRENCY,
+      quoteId: generateQuoteId(now),
+      calculatedAt: new Date(now).toISOString(),
+      breakdown: calculateBreakdown(body),
+    },
+  };
+}
@@ -0,0 +1,202 @@
+/**
+ * @fileoverview Fake Rating API Server - Local stand-in for the live /rate endpoint
+ *
+ * Started automatically by Playwright's `webServer` (see playwright.config.js),
+ * so API and integration tests run deterministically without the network.
+ *
+ * It also serves the repository root as static files: the quote page imports
+ * ES modules (shared/productRules.js), which browsers refuse to load from file://.
+ *
+ * The rate and lookup routes implement shared/rating-api.openapi.json
+ * (checked by tests/api/fake-backend-contract.spec.js).
+ *
+ * ROUTES:
+ * - POST    /rate         Rate a quote (see ratingEngine.js for the contract)
+ * - GET     /quotes/{id}  A quote rated earlier: the rate response plus its inputs (see quoteStore.js),
+ *                         404 { error: 'Quote not found' } for unknown IDs
+ * - OPTIONS *             CORS preflight (the quote page may be hosted elsewhere)
+ * - GET     /health       Readiness probe used by Playwright's webServer
+ * - *       /rate         405 Method not allowed (likewise anything but GET on /quotes/{id})
+ * - GET     /*            Static files from the repo root (/ → index.html)
+ *
+ * @example Run standalone
+ * node fake-backend/server.js            # listens on http://localhost:4000
+ * PORT=5000 node fake-backend/server.js  # custom port
+ *
+ * @example Run in-process
+ * import { createRatingServer } from './fake-backend/server.js';
+ * const server = createRatingServer();
+ * server.listen(0);
+ */
+
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { extname, join, normalize, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { rateQuote } from './ratingEngine.js';
+import { createQuoteStore } from './quoteStore.js';
+
+/**
+ * Default port, matching the API_BASE_URL default in the test suite
+ * @type {number}
+ */
+export const DEFAULT_PORT = 4000;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+const STATIC_ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+};
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...CORS_HEADERS, ...headers });
+  res.end(JSON.stringify(body));
+}
+
+async function readJsonBody(req) {
+  let raw = '';
+  for await (const chunk of req) {
+    raw += chunk;
+  }
+  return raw ? JSON.parse(raw) : {};
+}
+
+async function serveStatic(req, res, pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+  } catch {
+    // Malformed escapes can't name a file we serve
+    sendJson(res, 404, { error: 'Not found' });
+    return;
+  }
+  const filePath = join(STATIC_ROOT, normalize(decoded));
+
+  // Stay inside the repo and never expose dotfiles (.git, .env)
+  if (!filePath.startsWith(STATIC_ROOT) || filePath.split(sep).some((part) => part.startsWith('.'))) {
+    sendJson(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  let content;
+  try {
+    content = await readFile(filePath);
+  } catch {
+    sendJson(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': CONTENT_TYPES[extname(filePath)] || 'application/octet-stream',
+    'Cache-Control': 'no-store',
+  });
+  res.end(req.method === 'HEAD' ? undefined : content);
+}
+
+function handleQuoteLookup(req, res, store, encodedId) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    sendJson(res, 405, { error: 'Method not allowed' }, { Allow: 'GET, OPTIONS' });
+    return;
+  }
+
+  let quote = null;
+  try {
+    quote = store.get(decodeURIComponent(encodedId));
+  } catch {
+    // Malformed escapes can't name a quote we issued
+  }
+  if (!quote) {
+    sendJson(res, 404, { error: 'Quote not found' });
+    return;
+  }
+  sendJson(res, 200, quote);
+}
+
+async function handleRequest(req, res, store) {
+  const { pathname } = new URL(req.url, 'http://localhost');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+
+  if (pathname === '/health') {
+    sendJson(res, 200, { status: 'ok' });
+    return;
+  }
+
+  const lookup = /^\/quotes\/([^/]+)$/.exec(pathname);
+  if (lookup) {
+    handleQuoteLookup(req, res, store, lookup[1]);
+    return;
+  }
+
+  if (pathname !== '/rate') {
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      await serveStatic(req, res, pathname);
+    } else {
+      sendJson(res, 404, { error: 'Not found' });
+    }
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    sendJson(res, 405, { error: 'Method not allowed' }, { Allow: 'POST, OPTIONS' });
+    return;
+  }
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch {
+    sendJson(res, 400, { error: 'Invalid JSON body' });
+    return;
+  }
+
+  const result = rateQuote(body);
+  if (result.status === 200) {
+    store.save(body, result.body);
+  }
+  sendJson(res, result.status, result.body);
+}
+
+/**
+ * Create the fake rating API server (not yet listening)
+ *
+ * @param {Object} [options]
+ * @param {ReturnType<typeof createQuoteStore>} [options.store] - Where rated quotes are kept
+ *   (default: a fresh in-memory store per server)
+ * @returns {import('node:http').Server} HTTP server
+ *
+ * @example
+ * const server = createRatingServer();
+ * server.listen(4000, () => console.log('ready'));
+ */
+export function createRatingServer({ store = createQuoteStore() } = {}) {
+  return createServer((req, res) => {
+    handleRequest(req, res, store).catch((error) => {
+      console.error(error);
+      sendJson(res, 500, { error: 'Internal server error' });
+    });
+  });
+}
+
+// Start listening when executed directly (node fake-backend/server.js)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.PORT) || DEFAULT_PORT;
+  createRatingServer().listen(port, () => {
+    console.log(`Fake rating API listening on http://localhost:${port}/rate`);
+    console.log(`Quote page served at http://localhost:${port}/`);
+  });
+}
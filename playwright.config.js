@@ -5,11 +5,25 @@
 // - Run all tests: npm test
 // - Run API only: npm run test:api
 // - Run integration only: npm run test:integration
-// - Run with Spanish: LOCALE=es npm test
-// - Run against local file: npm test (uses index.html by default)
+// - Run helper unit tests only: npm run test:unit
+// - Run label drift check only: npm run test:labels
+// - Run the accessibility audit only: npm run test:a11y
+// - Run the scenario files (tests/scenarios/*.json) only: npm run test:scenarios
+// - Re-record the golden premium table: npm run golden:update
+// - Run integration tests in one locale: npx playwright test --project=ui-es (or LOCALE=es npm test)
+// - Fill the quote form by keyboard only: INPUT_MODE=keyboard npm run test:integration
+// - Render timestamps in another zone: TIME_ZONE=America/Chicago npm test (default: UTC)
+// - Run against local page: npm test (index.html served by the fake backend)
 // - Run against remote: FRONTEND_URL=https://example.com npm test
+// - Run API tests against the live API: API_BASE_URL=https://rating-api.jeremy-vajko.workers.dev/rate npm run test:api
+//   (tests tagged @fake-backend skip there; --grep-invert @fake-backend leaves them out of the report)
+//
+// The fake rating API (fake-backend/server.js) is started automatically
+// on http://localhost:4000 and is the default API_BASE_URL. It also serves
+// the quote page, which is the default FRONTEND_URL.
 
 import { defineConfig } from '@playwright/test';
+import { LOCALE, TIME_ZONE, UI_LOCALES } from './tests/helpers/env.js';
 
 export default defineConfig({
   testDir: './tests',
@@ -26,29 +40,64 @@ export default defineConfig({
   ],
   
   use: {
+    // Browser locale and zone pinned to the page's, so nothing falls back to the host's settings
+    locale: LOCALE,
+    timezoneId: TIME_ZONE,
     trace: 'retain-on-failure',
     screenshot: 'only-on-failure',
     video: 'off',
   },
 
+  // Local fake rating API - deterministic, no network required
+  webServer: {
+    command: 'node fake-backend/server.js',
+    url: 'http://localhost:4000/health',
+    reuseExistingServer: !process.env.CI,
+    timeout: 10000,
+  },
+
   projects: [
     {
       name: 'api-tests',
       testMatch: /.*\/api\/.*\.spec\.js/,
       use: {
-        // API tests use environment variable or default endpoint
-        // Set API_BASE_URL to override: API_BASE_URL=http://localhost:4000/rate npm run test:api
+        // API tests default to the fake rating API at http://localhost:4000/rate
+        // Set API_BASE_URL to override: API_BASE_URL=https://staging.example.com/rate npm run test:api
       },
     },
     {
-      name: 'integration-tests',
+      // Label registry validation (no browser): completeness, collisions, CLI
+      name: 'label-registry',
+      testMatch: /.*\/labels\/.*\.spec\.js/,
+    },
+    {
+      // Unit tests for test helpers (no browser): locale parsing, etc.
+      name: 'unit-tests',
+      testMatch: /.*\/unit\/.*\.spec\.js/,
+    },
+    {
+      // Fails fast with a precise diff when index.html names drift from the label registry
+      name: 'label-drift',
+      testMatch: /.*\/a11y\/label-drift\.spec\.js/,
+    },
+    {
+      // Offline accessibility rules (contrast, names, roles, aria-hidden, live regions) in every flow state,
+      // and the live-region announcements a screen reader would make during the flows
+      name: 'accessibility',
+      testMatch: /.*\/a11y\/(accessibility-audit|live-announcements)\.spec\.js/,
+    },
+    // One integration project per label registry locale (ui-en, ui-es, ui-es-MX);
+    // the locale fixture (tests/helpers/fixtures/locale.js) hands `locale` to tests and flows
+    ...UI_LOCALES.map((locale) => ({
+      name: `ui-${locale}`,
       testMatch: /.*\/integration\/.*\.spec\.js/,
+      dependencies: ['label-drift'],
       use: {
-        // Integration tests use environment variable or local file
-        // FRONTEND_URL defaults to file://[project]/index.html in test file
+        // FRONTEND_URL defaults to http://localhost:4000/index.html (tests/helpers/env.js)
         // Override with: FRONTEND_URL=https://example.com npm run test:integration
-        // Locale: LOCALE=es npm run test:integration
+        // The page is opened with ?api=<API_BASE_URL>&lang=<locale>, so UI and API tests share one backend
+        locale,
       },
-    },
+    })),
   ],
 });
@@ -0,0 +1,487 @@
+/**
+ * @fileoverview English accessibility labels - Source of truth for EN locale
+ * 
+ * PHILOSOPHY:
+ * - Labels should be generic: "Submit quote" not "submit-btn-v2"
+ * - Labels should be natural: What a screen reader should announce
+ * - Labels should be stable: Won't change with UI refactoring
+ * - Labels should be semantic: Describes purpose, not implementation
+ * 
+ * USAGE IN HTML:
+ * <button aria-label="Submit quote">Get Quote</button>
+ * 
+ * USAGE IN TESTS:
+ * import { getLabels } from '../labels/index.js';
+ * const L = getLabels('en');
+ * await page.getByLabel(L.submit_quote).click();
+ * 
+ * TWO MAPS PER LOCALE:
+ * - enLabels: Accessible names (aria-label) - what tests select by
+ * - enText: Visible copy and text templates - what the page renders
+ * The quote page imports both, so the UI and the tests can't disagree.
+ */
+
+export const enLabels = {
+  // ============================================
+  // FORM FIELDS
+  // ============================================
+  
+  /**
+   * State/province selector dropdown
+   * @type {string}
+   * @screenreader Announces: "Customer state, combo box, Wisconsin" (when selected)
+   * @html <select aria-label="Customer state">
+   */
+  customer_state: 'Customer state',
+
+  /**
+   * Business category selector dropdown
+   * @type {string}
+   * @screenreader Announces: "Business type, combo box, Retail" (when selected)
+   * @html <select aria-label="Business type">
+   */
+  business_type: 'Business type',
+
+  /**
+   * Annual revenue input field
+   * @type {string}
+   * @screenreader Announces: "Annual revenue, edit, 50000" (when filled)
+   * @html <input aria-label="Annual revenue">
+   */
+  annual_revenue: 'Annual revenue',
+
+  // ============================================
+  // COVERAGE OPTIONS
+  // ============================================
+
+  /**
+   * Alert shown in V1 states (TX, NY, CA) - coverage not available
+   * @type {string}
+   * @screenreader Announces: "Coverage unavailable notice, alert"
+   * @html <div role="alert" aria-label="Coverage unavailable notice">
+   */
+  coverage_unavailable_notice: 'Coverage unavailable notice',
+
+  /**
+   * Alert shown in V2 states (WI, OH, IL, NV) - coverage available
+   * @type {string}
+   * @screenreader Announces: "Coverage available notice, alert"
+   * @html <div role="alert" aria-label="Coverage available notice">
+   */
+  coverage_available_notice: 'Coverage available notice',
+
+  /**
+   * Coverage selection radio group container
+   * @type {string}
+   * @screenreader Announces: "Coverage options, radio group"
+   * @html <fieldset role="radiogroup" aria-label="Coverage options">
+   */
+  coverage_options: 'Coverage options',
+
+  /**
+   * No coverage option (default selection)
+   * @type {string}
+   * @screenreader Announces: "Coverage none, radio button, checked"
+   * @html <input type="radio" aria-label="Coverage none">
+   */
+  coverage_none: 'Coverage none',
+
+  /**
+   * Silver tier coverage option
+   * @type {string}
+   * @screenreader Announces: "Coverage silver, radio button"
+   * @html <input type="radio" aria-label="Coverage silver">
+   */
+  coverage_silver: 'Coverage silver',
+
+  /**
+   * Gold tier coverage option
+   * @type {string}
+   * @screenreader Announces: "Coverage gold, radio button"
+   * @html <input type="radio" aria-label="Coverage gold">
+   */
+  coverage_gold: 'Coverage gold',
+
+  /**
+   * Platinum tier coverage option
+   * @type {string}
+   * @screenreader Announces: "Coverage platinum, radio button"
+   * @html <input type="radio" aria-label="Coverage platinum">
+   */
+  coverage_platinum: 'Coverage platinum',
+
+  // ============================================
+  // ACTIONS
+  // ============================================
+
+  /**
+   * Main form submission button
+   * @type {string}
+   * @screenreader Announces: "Submit quote, button, disabled" (initially)
+   * @html <button aria-label="Submit quote">
+   */
+  submit_quote: 'Submit quote',
+
+  /**
+   * Footer contact link (keeps its visible text in the name)
+   * @type {string}
+   * @screenreader Announces: "Contact Jeremy at JeremyVajko.com, link"
+   * @html <a aria-label="Contact Jeremy at JeremyVajko.com">JeremyVajko.com</a>
+   */
+  contact_link: 'Contact Jeremy at JeremyVajko.com',
+
+  // ============================================
+  // FEEDBACK / STATUS
+  // ============================================
+
+  /**
+   * Loading indicator shown during API call
+   * @type {string}
+   * @screenreader Announces: "Loading, status"
+   * @html <div role="status" aria-label="Loading">
+   */
+  loading: 'Loading',
+
+  /**
+   * Error message alert region
+   * @type {string}
+   * @screenreader Announces: "Error message, alert" followed by error text
+   * @html <div role="alert" aria-label="Error message">
+   */
+  error_message: 'Error message',
+
+  // ============================================
+  // RESULT REGION
+  // ============================================
+
+  /**
+   * Successful quote result container
+   * @type {string}
+   * @screenreader Announces: "Quote result, region" followed by premium details
+   * @html <section role="region" aria-label="Quote result">
+   */
+  quote_result: 'Quote result',
+
+  /**
+   * Premium dollar amount display
+   * @type {string}
+   * @screenreader Announces: "Premium amount, $1,500.00"
+   * @html <div aria-label="Premium amount">$1,500.00</div>
+   */
+  premium_amount: 'Premium amount',
+
+  /**
+   * Unique quote identifier display
+   * @type {string}
+   * @screenreader Announces: "Quote ID, Q-1234567890-ABC12"
+   * @html <div aria-label="Quote ID">Q-1234567890-ABC12</div>
+   */
+  quote_id: 'Quote ID',
+
+  /**
+   * Quote generation timestamp display
+   * @type {string}
+   * @screenreader Announces: "Quote timestamp, 11/5/2025, 3:30 PM"
+   * @html <div aria-label="Quote timestamp">11/5/2025, 3:30 PM</div>
+   */
+  quote_timestamp: 'Quote timestamp',
+
+  // ============================================
+  // PREMIUM BREAKDOWN
+  // ============================================
+
+  /**
+   * Itemized premium components list inside the result region
+   * @type {string}
+   * @screenreader Announces: "Premium breakdown, list"
+   * @html <dl aria-label="Premium breakdown">
+   */
+  premium_breakdown: 'Premium breakdown',
+
+  /**
+   * Revenue base before any factors are applied
+   * @type {string}
+   * @screenreader Announces: "Base premium, $1,000.00"
+   * @html <dd aria-label="Base premium">$1,000.00</dd>
+   */
+  premium_base: 'Base premium',
+
+  /**
+   * State rating factor
+   * @type {string}
+   * @screenreader Announces: "State factor, ×1.15"
+   * @html <dd aria-label="State factor">×1.15</dd>
+   */
+  premium_state_factor: 'State factor',
+
+  /**
+   * Business class rating factor
+   * @type {string}
+   * @screenreader Announces: "Business class factor, ×1.20"
+   * @html <dd aria-label="Business class factor">×1.20</dd>
+   */
+  premium_business_factor: 'Business class factor',
+
+  /**
+   * Coverage tier loading factor
+   * @type {string}
+   * @screenreader Announces: "Coverage factor, ×1.25"
+   * @html <dd aria-label="Coverage factor">×1.25</dd>
+   */
+  premium_coverage_factor: 'Coverage factor',
+
+  // ============================================
+  // COVERAGE COMPARISON
+  // ============================================
+
+  /**
+   * Rates every coverage tier for the current inputs (V2 states only)
+   * @type {string}
+   * @screenreader Announces: "Compare coverage, button"
+   * @html <button type="button" aria-label="Compare coverage">
+   */
+  compare_coverage: 'Compare coverage',
+
+  /**
+   * Table of premiums, one row per coverage tier
+   * @type {string}
+   * @screenreader Announces: "Coverage comparison, table, 4 rows, 3 columns"
+   * @html <table aria-label="Coverage comparison">
+   */
+  coverage_comparison: 'Coverage comparison',
+
+  /**
+   * Per-row action that selects the tier and shows its quote
+   * {tier} is the tier's display name; kept clear of "Coverage {tier}" so
+   * it never matches the coverage radio names
+   * @type {string}
+   * @screenreader Announces: "Choose Silver tier, button"
+   * @html <button aria-label="Choose Silver tier">Choose</button>
+   */
+  choose_coverage_tier: 'Choose {tier} tier',
+
+  // ============================================
+  // QUOTE LOOKUP
+  // ============================================
+
+  /**
+   * Form that retrieves a saved quote by its ID
+   * @type {string}
+   * @screenreader Announces: "Quote lookup, form"
+   * @html <form aria-label="Quote lookup">
+   */
+  quote_lookup: 'Quote lookup',
+
+  /**
+   * Text input for the ID to look up
+   * Kept clear of "Quote ID" so it never matches the result's quote ID line
+   * @type {string}
+   * @screenreader Announces: "ID of a saved quote, edit text"
+   * @html <input type="text" aria-label="ID of a saved quote">
+   */
+  lookup_quote_id: 'ID of a saved quote',
+
+  /**
+   * Submits the lookup
+   * @type {string}
+   * @screenreader Announces: "Look up quote, button"
+   * @html <button type="submit" aria-label="Look up quote">Look up</button>
+   */
+  look_up_quote: 'Look up quote',
+
+  // ============================================
+  // QUOTE HISTORY
+  // ============================================
+
+  /**
+   * Earlier quotes kept in local storage, newest first
+   * @type {string}
+   * @screenreader Announces: "Recent quotes, region" followed by the list of quotes
+   * @html <section role="region" aria-label="Recent quotes">
+   */
+  quote_history: 'Recent quotes',
+
+  /**
+   * Per-entry action that puts a saved quote back into the form and result
+   * {quoteId} is the saved quote's ID, so every entry has a unique name
+   * @type {string}
+   * @screenreader Announces: "Restore quote Q-1730818200000-AB12CD, button"
+   * @html <button aria-label="Restore quote Q-1730818200000-AB12CD">Restore</button>
+   */
+  restore_quote: 'Restore quote {quoteId}',
+
+  /**
+   * Removes every saved quote
+   * @type {string}
+   * @screenreader Announces: "Clear history, button"
+   * @html <button aria-label="Clear history">
+   */
+  clear_quote_history: 'Clear history',
+};
+
+/**
+ * English visible copy for the quote page
+ * Rendered into elements marked with data-text="<key>".
+ * Templates use {placeholders} (see fillTemplate / matchTemplate in index.js).
+ */
+export const enText = {
+  // ============================================
+  // PAGE CHROME
+  // ============================================
+
+  /** Document title and header subtitle */
+  page_title: 'Jeremy Very Good Insurance Company',
+
+  /** Card heading */
+  form_heading: 'Insurance Quote & Coverage',
+
+  /** Card tagline */
+  form_tagline: '"Get a very good quote from a very good guy named Jeremy."',
+
+  /** Footer lead-in before the contact link */
+  footer_contact: 'For more information about purchasing your quoted price, contact Jeremy at',
+
+  // ============================================
+  // FORM
+  // ============================================
+
+  /** Visible label above the state dropdown */
+  state_field: 'Customer State',
+
+  /** Empty state dropdown option */
+  state_placeholder: '-- Select State --',
+
+  /** Visible label above the business dropdown */
+  business_field: 'Business Type',
+
+  /** Empty business dropdown option */
+  business_placeholder: '-- Select Business Type --',
+
+  /** Visible label above the revenue input */
+  revenue_field: 'Annual Revenue ($)',
+
+  /** Body of the coverage unavailable notice (V1 states) */
+  coverage_unavailable_text: "Sorry, new coverages aren't available where you live — but your quote will still be very good!",
+
+  /** Body of the coverage available notice (V2 states) */
+  coverage_available_text: 'Lucky you! New coverage options are available in your state.',
+
+  /** Submit button text */
+  submit_button: 'Get Quote',
+
+  // ============================================
+  // FIELD VALIDATION
+  // ============================================
+
+  /** Inline error under the state dropdown when nothing is selected */
+  field_error_state_required: 'Select the customer state',
+
+  /** Inline error under the business dropdown when nothing is selected */
+  field_error_business_required: 'Select a business type',
+
+  /** Inline error under the revenue input when it is empty */
+  field_error_revenue_required: 'Enter the annual revenue',
+
+  /** Inline error under the revenue input for values below zero */
+  field_error_revenue_negative: 'Annual revenue can\'t be negative',
+
+  /** Inline error under the revenue input for fractions or non-numbers */
+  field_error_revenue_integer: 'Enter annual revenue in whole dollars',
+
+  /** Inline error under the revenue input above the limit - {max} is the formatted limit */
+  field_error_revenue_max: 'Annual revenue can\'t exceed {max}',
+
+  // ============================================
+  // FEEDBACK / RESULT
+  // ============================================
+
+  /** Loading indicator text */
+  loading_text: 'Calculating your quote…',
+
+  /** Result region heading */
+  result_heading: 'Your Insurance Quote',
+
+  /** Caption under the premium amount */
+  premium_caption: 'Annual Premium',
+
+  /** Quote ID line - {quoteId} is the API's quote ID */
+  quote_id_template: 'Quote ID: {quoteId}',
+
+  /** Timestamp line - {timestamp} is the formatted calculation time */
+  quote_timestamp_template: 'Generated: {timestamp}',
+
+  /** Prefix of the error alert */
+  error_prefix: 'Error:',
+
+  /** Fallback when the API rejects a request without a message */
+  error_request_failed: 'Request failed',
+
+  /** Shown when the API rejects the request (4xx) - {message} is the API's reason */
+  error_validation: 'Please check your quote details: {message}',
+
+  /** Shown when the API keeps failing (5xx after retries) or returns an unreadable response */
+  error_server: 'The rating service is having trouble right now. Please try again in a moment.',
+
+  /** Shown when the API doesn't answer within the page's timeout */
+  error_timeout: 'The rating service took too long to respond. Please try again.',
+
+  /** Shown when the browser is offline */
+  error_offline: 'You appear to be offline. Check your connection and try again.',
+
+  /** Shown when the API can't be reached (after retries) */
+  error_network: 'Network error',
+
+  // ============================================
+  // COVERAGE COMPARISON
+  // ============================================
+
+  /** Visible text of the compare button */
+  compare_button: 'Compare coverage',
+
+  /** Caption above the comparison table */
+  comparison_caption: 'Annual premium by coverage tier',
+
+  /** Column header for the tier names */
+  comparison_tier_header: 'Coverage',
+
+  /** Column header for the premiums */
+  comparison_premium_header: 'Annual premium',
+
+  /** Column header for the choose buttons */
+  comparison_action_header: 'Choose',
+
+  /** Visible text of each row's choose button */
+  comparison_choose_button: 'Choose',
+
+  // ============================================
+  // QUOTE LOOKUP
+  // ============================================
+
+  /** Heading of the lookup form */
+  lookup_heading: 'Look up a quote',
+
+  /** Visible label above the lookup input */
+  lookup_field: 'ID of a saved quote',
+
+  /** Visible text of the lookup button */
+  lookup_button: 'Look up',
+
+  /** Shown under the lookup input when the ID is unknown - {quoteId} is what was entered */
+  lookup_not_found: 'No quote found with ID {quoteId}',
+
+  // ============================================
+  // QUOTE HISTORY
+  // ============================================
+
+  /** Heading of the recent quotes panel */
+  history_heading: 'Recent quotes',
+
+  /** One saved quote's inputs - option labels as shown in the form, revenue as money */
+  history_entry_template: '{state} · {business} · {revenue} · {coverage}',
+
+  /** Visible text of each entry's restore button */
+  history_restore_button: 'Restore',
+
+  /** Visible text of the clear history button */
+  history_clear_button: 'Clear history',
+};
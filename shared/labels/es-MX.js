@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Mexican Spanish overrides - Regional overlay on es.js
+ *
+ * REGIONAL LOCALES ONLY HOLD DIFFERENCES:
+ * getLabels('es-MX') resolves es-MX → es → en key by key, so this file lists
+ * only the wording Mexican users expect to read differently. Every other key
+ * is inherited from es.js - don't copy keys here just to repeat them.
+ *
+ * USAGE IN TESTS:
+ * import { getLabels } from '../labels/index.js';
+ * const L = getLabels('es-MX');
+ * await page.getByLabel(L.business_type).selectOption('retail'); // 'Giro del negocio'
+ */
+
+export const esMXLabels = {
+  // ============================================
+  // FORM FIELDS
+  // ============================================
+
+  /**
+   * Business category selector dropdown (Mexican Spanish)
+   * "Giro" is the usual term for a line of business in Mexico
+   * @type {string}
+   */
+  business_type: 'Giro del negocio',
+};
+
+/**
+ * Mexican Spanish visible copy overrides (keys mirror enText)
+ */
+export const esMXText = {
+  // ============================================
+  // FORM
+  // ============================================
+
+  /** Visible label above the business dropdown (Mexican Spanish) */
+  business_field: 'Giro del negocio',
+
+  /** Empty business dropdown option (Mexican Spanish) */
+  business_placeholder: '-- Selecciona un giro --',
+
+  // ============================================
+  // FIELD VALIDATION
+  // ============================================
+
+  /** Inline error under the business dropdown when nothing is selected (Mexican Spanish) */
+  field_error_business_required: 'Selecciona el giro del negocio',
+};
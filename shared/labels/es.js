@@ -0,0 +1,413 @@
+/**
+ * @fileoverview Spanish accessibility labels - For future multi-language support
+ * 
+ * TRANSLATION GUIDELINES:
+ * - Maintain semantic meaning from English version
+ * - Use natural phrasing for Spanish speakers
+ * - Keep technical terms consistent (e.g., "Premium" → "Prima")
+ * - Don't translate technical IDs (quote IDs stay as "Q-12345...")
+ * - Don't add or remove information
+ * 
+ * USAGE IN HTML:
+ * <button aria-label="Enviar cotización">Obtener Cotización</button>
+ * 
+ * USAGE IN TESTS:
+ * import { getLabels } from '../labels/index.js';
+ * const L = getLabels('es');
+ * await page.getByLabel(L.submit_quote).click(); // Uses Spanish label
+ */
+
+export const esLabels = {
+  // ============================================
+  // FORM FIELDS
+  // ============================================
+  
+  /**
+   * State/province selector dropdown (Spanish)
+   * @type {string}
+   */
+  customer_state: 'Estado del cliente',
+
+  /**
+   * Business category selector dropdown (Spanish)
+   * @type {string}
+   */
+  business_type: 'Tipo de negocio',
+
+  /**
+   * Annual revenue input field (Spanish)
+   * @type {string}
+   */
+  annual_revenue: 'Ingresos anuales',
+
+  // ============================================
+  // COVERAGE OPTIONS
+  // ============================================
+
+  /**
+   * Alert shown in V1 states - coverage not available (Spanish)
+   * @type {string}
+   */
+  coverage_unavailable_notice: 'Aviso de cobertura no disponible',
+
+  /**
+   * Alert shown in V2 states - coverage available (Spanish)
+   * @type {string}
+   */
+  coverage_available_notice: 'Aviso de cobertura disponible',
+
+  /**
+   * Coverage selection radio group container (Spanish)
+   * @type {string}
+   */
+  coverage_options: 'Opciones de cobertura',
+
+  /**
+   * No coverage option (Spanish)
+   * @type {string}
+   */
+  coverage_none: 'Sin cobertura',
+
+  /**
+   * Silver tier coverage option (Spanish)
+   * @type {string}
+   */
+  coverage_silver: 'Cobertura plata',
+
+  /**
+   * Gold tier coverage option (Spanish)
+   * @type {string}
+   */
+  coverage_gold: 'Cobertura oro',
+
+  /**
+   * Platinum tier coverage option (Spanish)
+   * @type {string}
+   */
+  coverage_platinum: 'Cobertura platino',
+
+  // ============================================
+  // ACTIONS
+  // ============================================
+
+  /**
+   * Main form submission button (Spanish)
+   * @type {string}
+   */
+  submit_quote: 'Enviar cotización',
+
+  /**
+   * Footer contact link (Spanish)
+   * @type {string}
+   */
+  contact_link: 'Contactar a Jeremy en JeremyVajko.com',
+
+  // ============================================
+  // FEEDBACK / STATUS
+  // ============================================
+
+  /**
+   * Loading indicator shown during API call (Spanish)
+   * @type {string}
+   */
+  loading: 'Cargando',
+
+  /**
+   * Error message alert region (Spanish)
+   * @type {string}
+   */
+  error_message: 'Mensaje de error',
+
+  // ============================================
+  // RESULT REGION
+  // ============================================
+
+  /**
+   * Successful quote result container (Spanish)
+   * @type {string}
+   */
+  quote_result: 'Resultado de cotización',
+
+  /**
+   * Premium dollar amount display (Spanish)
+   * @type {string}
+   */
+  premium_amount: 'Monto de prima',
+
+  /**
+   * Unique quote identifier display (Spanish)
+   * @type {string}
+   */
+  quote_id: 'ID de cotización',
+
+  /**
+   * Quote generation timestamp display (Spanish)
+   * @type {string}
+   */
+  quote_timestamp: 'Marca de tiempo de cotización',
+
+  // ============================================
+  // PREMIUM BREAKDOWN
+  // ============================================
+
+  /**
+   * Itemized premium components list (Spanish)
+   * @type {string}
+   */
+  premium_breakdown: 'Desglose de prima',
+
+  /**
+   * Revenue base before any factors (Spanish)
+   * @type {string}
+   */
+  premium_base: 'Prima base',
+
+  /**
+   * State rating factor (Spanish)
+   * @type {string}
+   */
+  premium_state_factor: 'Factor estatal',
+
+  /**
+   * Business class rating factor (Spanish)
+   * @type {string}
+   */
+  premium_business_factor: 'Factor de clase de negocio',
+
+  /**
+   * Coverage tier loading factor (Spanish)
+   * @type {string}
+   */
+  premium_coverage_factor: 'Factor de cobertura',
+
+  // ============================================
+  // COVERAGE COMPARISON
+  // ============================================
+
+  /**
+   * Rates every coverage tier for the current inputs (Spanish)
+   * @type {string}
+   */
+  compare_coverage: 'Comparar coberturas',
+
+  /**
+   * Table of premiums, one row per coverage tier (Spanish)
+   * @type {string}
+   */
+  coverage_comparison: 'Comparación de coberturas',
+
+  /**
+   * Per-row action that selects the tier - {tier} is its display name (Spanish)
+   * @type {string}
+   */
+  choose_coverage_tier: 'Elegir nivel {tier}',
+
+  // ============================================
+  // QUOTE LOOKUP
+  // ============================================
+
+  /**
+   * Form that retrieves a saved quote by its ID (Spanish)
+   * @type {string}
+   */
+  quote_lookup: 'Búsqueda de cotización',
+
+  /**
+   * Text input for the ID to look up - kept clear of quote_id (Spanish)
+   * @type {string}
+   */
+  lookup_quote_id: 'ID de una cotización guardada',
+
+  /**
+   * Submits the lookup (Spanish)
+   * @type {string}
+   */
+  look_up_quote: 'Buscar cotización',
+
+  // ============================================
+  // QUOTE HISTORY
+  // ============================================
+
+  /**
+   * Earlier quotes kept in local storage (Spanish)
+   * @type {string}
+   */
+  quote_history: 'Cotizaciones recientes',
+
+  /**
+   * Per-entry restore action - {quoteId} keeps each name unique (Spanish)
+   * @type {string}
+   */
+  restore_quote: 'Restaurar cotización {quoteId}',
+
+  /**
+   * Removes every saved quote (Spanish)
+   * @type {string}
+   */
+  clear_quote_history: 'Borrar historial',
+};
+
+/**
+ * Spanish visible copy for the quote page (keys mirror enText)
+ */
+export const esText = {
+  // ============================================
+  // PAGE CHROME
+  // ============================================
+
+  /** Document title and header subtitle (Spanish) */
+  page_title: 'Compañía de Seguros Muy Buena de Jeremy',
+
+  /** Card heading (Spanish) */
+  form_heading: 'Cotización y cobertura de seguro',
+
+  /** Card tagline (Spanish) */
+  form_tagline: '"Obtén una muy buena cotización de un tipo muy bueno llamado Jeremy."',
+
+  /** Footer lead-in before the contact link (Spanish) */
+  footer_contact: 'Para más información sobre cómo contratar tu cotización, contacta a Jeremy en',
+
+  // ============================================
+  // FORM
+  // ============================================
+
+  /** Visible label above the state dropdown (Spanish) */
+  state_field: 'Estado del cliente',
+
+  /** Empty state dropdown option (Spanish) */
+  state_placeholder: '-- Selecciona un estado --',
+
+  /** Visible label above the business dropdown (Spanish) */
+  business_field: 'Tipo de negocio',
+
+  /** Empty business dropdown option (Spanish) */
+  business_placeholder: '-- Selecciona un tipo de negocio --',
+
+  /** Visible label above the revenue input (Spanish) */
+  revenue_field: 'Ingresos anuales ($)',
+
+  /** Body of the coverage unavailable notice (Spanish) */
+  coverage_unavailable_text: 'Lo sentimos, las nuevas coberturas no están disponibles donde vives, ¡pero tu cotización seguirá siendo muy buena!',
+
+  /** Body of the coverage available notice (Spanish) */
+  coverage_available_text: '¡Qué suerte! Hay nuevas opciones de cobertura disponibles en tu estado.',
+
+  /** Submit button text (Spanish) */
+  submit_button: 'Obtener cotización',
+
+  // ============================================
+  // FIELD VALIDATION
+  // ============================================
+
+  /** Inline error under the state dropdown when nothing is selected (Spanish) */
+  field_error_state_required: 'Selecciona el estado del cliente',
+
+  /** Inline error under the business dropdown when nothing is selected (Spanish) */
+  field_error_business_required: 'Selecciona un tipo de negocio',
+
+  /** Inline error under the revenue input when it is empty (Spanish) */
+  field_error_revenue_required: 'Ingresa los ingresos anuales',
+
+  /** Inline error under the revenue input for values below zero (Spanish) */
+  field_error_revenue_negative: 'Los ingresos anuales no pueden ser negativos',
+
+  /** Inline error under the revenue input for fractions or non-numbers (Spanish) */
+  field_error_revenue_integer: 'Ingresa los ingresos anuales en dólares enteros',
+
+  /** Inline error under the revenue input above the limit - {max} is the formatted limit (Spanish) */
+  field_error_revenue_max: 'Los ingresos anuales no pueden superar {max}',
+
+  // ============================================
+  // FEEDBACK / RESULT
+  // ============================================
+
+  /** Loading indicator text (Spanish) */
+  loading_text: 'Calculando tu cotización…',
+
+  /** Result region heading (Spanish) */
+  result_heading: 'Tu cotización de seguro',
+
+  /** Caption under the premium amount (Spanish) */
+  premium_caption: 'Prima anual',
+
+  /** Quote ID line (Spanish) */
+  quote_id_template: 'ID de cotización: {quoteId}',
+
+  /** Timestamp line (Spanish) */
+  quote_timestamp_template: 'Generada: {timestamp}',
+
+  /** Prefix of the error alert (Spanish) */
+  error_prefix: 'Error:',
+
+  /** Fallback when the API rejects a request without a message (Spanish) */
+  error_request_failed: 'La solicitud falló',
+
+  /** Shown when the API rejects the request (4xx) - {message} is the API's reason (Spanish) */
+  error_validation: 'Revisa los datos de tu cotización: {message}',
+
+  /** Shown when the API keeps failing (5xx after retries) or returns an unreadable response (Spanish) */
+  error_server: 'El servicio de tarifas tiene problemas en este momento. Inténtalo de nuevo en un momento.',
+
+  /** Shown when the API doesn't answer within the page's timeout (Spanish) */
+  error_timeout: 'El servicio de tarifas tardó demasiado en responder. Inténtalo de nuevo.',
+
+  /** Shown when the browser is offline (Spanish) */
+  error_offline: 'Parece que no tienes conexión. Revisa tu conexión e inténtalo de nuevo.',
+
+  /** Shown when the API can't be reached after retries (Spanish) */
+  error_network: 'Error de red',
+
+  // ============================================
+  // COVERAGE COMPARISON
+  // ============================================
+
+  /** Visible text of the compare button (Spanish) */
+  compare_button: 'Comparar coberturas',
+
+  /** Caption above the comparison table (Spanish) */
+  comparison_caption: 'Prima anual por nivel de cobertura',
+
+  /** Column header for the tier names (Spanish) */
+  comparison_tier_header: 'Cobertura',
+
+  /** Column header for the premiums (Spanish) */
+  comparison_premium_header: 'Prima anual',
+
+  /** Column header for the choose buttons (Spanish) */
+  comparison_action_header: 'Elegir',
+
+  /** Visible text of each row's choose button (Spanish) */
+  comparison_choose_button: 'Elegir',
+
+  // ============================================
+  // QUOTE LOOKUP
+  // ============================================
+
+  /** Heading of the lookup form (Spanish) */
+  lookup_heading: 'Buscar una cotización',
+
+  /** Visible label above the lookup input (Spanish) */
+  lookup_field: 'ID de una cotización guardada',
+
+  /** Visible text of the lookup button (Spanish) */
+  lookup_button: 'Buscar',
+
+  /** Shown under the lookup input when the ID is unknown (Spanish) */
+  lookup_not_found: 'No se encontró ninguna cotización con el ID {quoteId}',
+
+  // ============================================
+  // QUOTE HISTORY
+  // ============================================
+
+  /** Heading of the recent quotes panel (Spanish) */
+  history_heading: 'Cotizaciones recientes',
+
+  /** One saved quote's inputs (Spanish) */
+  history_entry_template: '{state} · {business} · {revenue} · {coverage}',
+
+  /** Visible text of each entry's restore button (Spanish) */
+  history_restore_button: 'Restaurar',
+
+  /** Visible text of the clear history button (Spanish) */
+  history_clear_button: 'Borrar historial',
+};
@@ -0,0 +1,200 @@
+/**
+ * @fileoverview Label Maps - Accessible names and page copy for every locale
+ *
+ * The quote page and the tests read the same maps: index.html renders
+ * data-label="<key>" as aria-label and data-text="<key>" as visible copy, and
+ * tests select by those names through tests/labels/index.js, which re-exports
+ * everything here and adds the validation and reverse lookups only tests need.
+ * Like productRules.js this has no DOM or Node APIs; browsers and Node both import it.
+ *
+ * LOCALE FALLBACK CHAINS:
+ * - Locales are BCP-47 tags; 'es_US' and 'ES-mx' are canonicalized first
+ * - Lookups resolve most specific first, key by key: es-MX → es → en
+ * - Regional files (es-MX.js) hold only the keys that differ from the language
+ * - A locale nothing but English could serve ('fr', 'en-GB') throws - pass
+ *   { lenient: true } to warn and fall back to English instead
+ *
+ * @example
+ * import { getLabels, getText, fillTemplate } from './shared/labels/index.js';
+ *
+ * getLabels('es-MX').business_type;                                   // 'Giro del negocio'
+ * fillTemplate(getText('en').quote_id_template, { quoteId: 'Q-1-ABC' }); // 'Quote ID: Q-1-ABC'
+ */
+
+import { enLabels, enText } from './en.js';
+import { esLabels, esText } from './es.js';
+import { esMXLabels, esMXText } from './es-MX.js';
+
+/**
+ * Registered label maps per locale (canonical BCP-47 tags)
+ * Regional locales (es-MX) only contain the keys that differ from their
+ * language (es); everything else is inherited through the fallback chain.
+ * @type {Object<string, { labels: Object<string, string>, text: Object<string, string> }>}
+ */
+export const LOCALE_MAPS = {
+  en: { labels: enLabels, text: enText },
+  es: { labels: esLabels, text: esText },
+  'es-MX': { labels: esMXLabels, text: esMXText },
+};
+
+/**
+ * Locale every other locale falls back to and is validated against
+ * @type {string}
+ */
+export const SOURCE_LOCALE = 'en';
+
+const resolvedMaps = new Map();
+
+/**
+ * Canonicalize a locale tag: 'es_us' → 'es-US', 'EN' → 'en'
+ * 
+ * @param {string} locale - Locale tag (BCP-47, underscores tolerated)
+ * @returns {string} Canonical BCP-47 tag
+ * @throws {Error} When the tag is not a well-formed locale
+ */
+function canonicalizeLocale(locale) {
+  try {
+    return Intl.getCanonicalLocales(String(locale).replace(/_/g, '-'))[0];
+  } catch {
+    throw new Error(`Invalid locale "${locale}"`);
+  }
+}
+
+/**
+ * Resolve the fallback chain for a locale, most specific first
+ * Only registered locales appear; the source locale (en) is always last.
+ * 
+ * @param {string} locale - Locale tag (e.g., 'es-MX', 'es_US', 'en')
+ * @returns {string[]} Registered locales to read keys from, in priority order
+ * @throws {Error} When the locale is malformed or nothing but English could serve it
+ * 
+ * @example
+ * resolveLocaleChain('es-MX'); // ['es-MX', 'es', 'en']
+ * resolveLocaleChain('es_US'); // ['es', 'en']
+ * resolveLocaleChain('en-GB'); // throws: only English could serve it
+ * resolveLocaleChain('fr');    // throws: Unknown locale "fr"
+ */
+export function resolveLocaleChain(locale) {
+  const canonical = canonicalizeLocale(locale);
+  const subtags = canonical.split('-');
+  
+  const chain = [];
+  for (let i = subtags.length; i > 0; i--) {
+    const candidate = subtags.slice(0, i).join('-');
+    if (LOCALE_MAPS[candidate] && candidate !== SOURCE_LOCALE) {
+      chain.push(candidate);
+    }
+  }
+  
+  if (chain.length === 0 && canonical !== SOURCE_LOCALE) {
+    throw new Error(`Unknown locale "${locale}" (registered: ${getSupportedLocales().join(', ')})`);
+  }
+  
+  return [...chain, SOURCE_LOCALE];
+}
+
+/**
+ * Merge a locale's maps along its fallback chain (per-key overlay)
+ * 
+ * @param {string} locale - Locale tag
+ * @param {Object} options
+ * @param {boolean} options.lenient - Warn and use English instead of throwing for unknown locales
+ * @returns {{ labels: Object<string, string>, text: Object<string, string> }} Resolved maps
+ */
+function resolveMaps(locale, { lenient }) {
+  let chain;
+  try {
+    chain = resolveLocaleChain(locale);
+  } catch (error) {
+    if (!lenient) {
+      throw error;
+    }
+    console.warn(`${error.message}, falling back to English`);
+    chain = [SOURCE_LOCALE];
+  }
+  
+  const cacheKey = chain.join('>');
+  if (!resolvedMaps.has(cacheKey)) {
+    const layers = [...chain].reverse().map(tag => LOCALE_MAPS[tag]);
+    resolvedMaps.set(cacheKey, {
+      labels: Object.freeze(Object.assign({}, ...layers.map(layer => layer.labels))),
+      text: Object.freeze(Object.assign({}, ...layers.map(layer => layer.text))),
+    });
+  }
+  
+  return resolvedMaps.get(cacheKey);
+}
+
+/**
+ * Get accessibility labels for the specified locale
+ * Resolves BCP-47 fallback chains: es-MX → es → en, key by key.
+ * 
+ * @param {string} [locale='en'] - Locale tag ('en', 'es', 'es-MX', 'es_US', etc.)
+ * @param {Object} [options]
+ * @param {boolean} [options.lenient=false] - Warn and use English for unknown locales instead of throwing
+ * @returns {Object} Label mappings for the locale
+ * @throws {Error} For unknown or malformed locales unless lenient
+ * 
+ * @example
+ * const L = getLabels('en');
+ * await page.getByLabel(L.submit_quote).click();
+ * 
+ * @example Regional locale
+ * getLabels('es-MX').business_type;  // 'Giro del negocio' (es-MX override)
+ * getLabels('es-MX').submit_quote;   // 'Enviar cotización' (inherited from es)
+ */
+export function getLabels(locale = 'en', { lenient = false } = {}) {
+  return resolveMaps(locale, { lenient }).labels;
+}
+
+/**
+ * Get visible page copy and text templates for the specified locale
+ * The quote page renders these; tests use them to parse what it rendered.
+ * Resolved along the same fallback chain as getLabels.
+ * 
+ * @param {string} [locale='en'] - Locale tag ('en', 'es', 'es-MX', etc.)
+ * @param {Object} [options]
+ * @param {boolean} [options.lenient=false] - Warn and use English for unknown locales instead of throwing
+ * @returns {Object} Text mappings for the locale
+ * @throws {Error} For unknown or malformed locales unless lenient
+ * 
+ * @example
+ * const T = getText('es');
+ * T.submit_button; // 'Obtener cotización'
+ */
+export function getText(locale = 'en', { lenient = false } = {}) {
+  return resolveMaps(locale, { lenient }).text;
+}
+
+/**
+ * Fill a text template's {placeholders}
+ * 
+ * @param {string} template - Template (e.g., 'Quote ID: {quoteId}')
+ * @param {Object<string, *>} values - Placeholder values
+ * @returns {string} Filled text
+ * 
+ * @example
+ * fillTemplate(getText('en').quote_id_template, { quoteId: 'Q-1-ABC' }); // 'Quote ID: Q-1-ABC'
+ */
+export function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in values ? String(values[name]) : match));
+}
+
+/**
+ * Get list of supported locales
+ * Derived from the registered label maps - register a map, gain a locale.
+ * 
+ * @returns {string[]} Array of supported locale codes
+ * 
+ * @example
+ * const locales = getSupportedLocales(); // ['en', 'es', 'es-MX']
+ * for (const locale of locales) {
+ *   test(`works in ${locale}`, async ({ page }) => {
+ *     const L = getLabels(locale);
+ *     // ... test code
+ *   });
+ * }
+ */
+export function getSupportedLocales() {
+  return Object.keys(LOCALE_MAPS);
+}
@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Product Rules - Single source of truth for what can be quoted
+ *
+ * Consumed by three places, so adding a state or business type is one edit here:
+ * 1. index.html renders its state/business dropdowns and coverage radios from it
+ * 2. fake-backend/ratingEngine.js validates and prices requests with it
+ * 3. Tests generate their state × business matrices from it
+ *
+ * Plain data only - no DOM or Node APIs - so browsers and Node can both import it.
+ *
+ * STATE VERSIONS:
+ * - v2: New coverage tiers (silver/gold/platinum) are offered
+ * - v1: Only 'none' coverage; the page shows the coverage unavailable notice
+ *
+ * DISPLAY NAMES:
+ * Names are maps of locale → text with English required; other locales
+ * are optional and fall back to English (see localizeName).
+ *
+ * @example Adding a state
+ * states: [
+ *   ...,
+ *   { code: 'MN', name: { en: 'Minnesota' }, version: 'v2', factor: 1.1 },
+ * ]
+ *
+ * @example Usage
+ * import { V2_STATES, BUSINESS_TYPES } from '../shared/productRules.js';
+ * for (const state of V2_STATES) { ... }
+ */
+
+/**
+ * Display name per locale - `en` is required, others optional
+ * @typedef {Object<string, string>} LocalizedName
+ */
+
+export const PRODUCT_RULES = {
+  /**
+   * Premium charged per dollar of annual revenue before any factors
+   * @type {number}
+   */
+  baseRate: 0.02,
+
+  /**
+   * ISO 4217 currency premiums are quoted in
+   * @type {string}
+   */
+  currency: 'USD',
+
+  /**
+   * Largest annual revenue the quote form accepts (whole dollars)
+   * @type {number}
+   */
+  maxRevenue: 1000000000,
+
+  /**
+   * Quotable states with their rating factor
+   * @type {Array<{ code: string, name: LocalizedName, version: 'v1'|'v2', factor: number }>}
+   */
+  states: [
+    { code: 'WI', name: { en: 'Wisconsin' }, version: 'v2', factor: 1.15 },
+    { code: 'OH', name: { en: 'Ohio' }, version: 'v2', factor: 1.1 },
+    { code: 'IL', name: { en: 'Illinois' }, version: 'v2', factor: 1.2 },
+    { code: 'NV', name: { en: 'Nevada' }, version: 'v2', factor: 1.3 },
+    { code: 'TX', name: { en: 'Texas' }, version: 'v1', factor: 1.0 },
+    { code: 'NY', name: { en: 'New York', es: 'Nueva York' }, version: 'v1', factor: 1.25 },
+    { code: 'CA', name: { en: 'California' }, version: 'v1', factor: 1.35 },
+  ],
+
+  /**
+   * Business classes with their rating factor
+   * @type {Array<{ value: string, name: LocalizedName, factor: number }>}
+   */
+  businessTypes: [
+    { value: 'retail', name: { en: 'Retail', es: 'Comercio minorista' }, factor: 1.0 },
+    { value: 'restaurant', name: { en: 'Restaurant', es: 'Restaurante' }, factor: 1.2 },
+    { value: 'professional', name: { en: 'Professional Services', es: 'Servicios profesionales' }, factor: 0.9 },
+    { value: 'manufacturing', name: { en: 'Manufacturing', es: 'Manufactura' }, factor: 1.6 },
+  ],
+
+  /**
+   * Coverage tiers with their premium loading
+   * The first tier is the default selection.
+   * @type {Array<{ value: string, name: LocalizedName, description: LocalizedName, loading: number }>}
+   */
+  coverageTiers: [
+    {
+      value: 'none',
+      name: { en: 'None', es: 'Ninguna' },
+      description: { en: 'No additional coverage', es: 'Sin cobertura adicional' },
+      loading: 1.0,
+    },
+    {
+      value: 'silver',
+      name: { en: 'Silver', es: 'Plata' },
+      description: { en: 'Basic coverage package', es: 'Paquete de cobertura básico' },
+      loading: 1.1,
+    },
+    {
+      value: 'gold',
+      name: { en: 'Gold', es: 'Oro' },
+      description: { en: 'Enhanced coverage package', es: 'Paquete de cobertura mejorado' },
+      loading: 1.25,
+    },
+    {
+      value: 'platinum',
+      name: { en: 'Platinum', es: 'Platino' },
+      description: { en: 'Premium coverage package', es: 'Paquete de cobertura premium' },
+      loading: 1.4,
+    },
+  ],
+};
+
+/**
+ * Every quotable state code
+ * @type {string[]}
+ */
+export const STATE_CODES = PRODUCT_RULES.states.map((state) => state.code);
+
+/**
+ * States that offer the new coverage tiers
+ * @type {string[]}
+ */
+export const V2_STATES = PRODUCT_RULES.states.filter((state) => state.version === 'v2').map((state) => state.code);
+
+/**
+ * States limited to 'none' coverage
+ * @type {string[]}
+ */
+export const V1_STATES = PRODUCT_RULES.states.filter((state) => state.version === 'v1').map((state) => state.code);
+
+/**
+ * Every business type value
+ * @type {string[]}
+ */
+export const BUSINESS_TYPES = PRODUCT_RULES.businessTypes.map((business) => business.value);
+
+/**
+ * Every coverage tier value, default first
+ * @type {string[]}
+ */
+export const COVERAGE_TIERS = PRODUCT_RULES.coverageTiers.map((tier) => tier.value);
+
+/**
+ * Pick the display name for a locale
+ * Tries the exact locale, then its language (es-MX → es), then English.
+ *
+ * @param {LocalizedName} name - Display name per locale
+ * @param {string} [locale='en'] - Locale code
+ * @returns {string} Display name
+ *
+ * @example
+ * localizeName({ en: 'New York', es: 'Nueva York' }, 'es-MX'); // 'Nueva York'
+ * localizeName({ en: 'Texas' }, 'es'); // 'Texas'
+ */
+export function localizeName(name, locale = 'en') {
+  const language = locale.split(/[-_]/)[0];
+  return name[locale] ?? name[language] ?? name.en;
+}
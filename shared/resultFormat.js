@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Result Formatting - How the quote page writes money, factors and timestamps
+ *
+ * The page formats its result panel with these functions and the tests use
+ * the same ones to build the text they expect, so a premium assertion is an
+ * exact string comparison rather than a loose regex.
+ *
+ * Everything goes through `Intl` with an explicit locale and time zone - never
+ * the runtime's defaults - so output doesn't depend on the machine rendering it.
+ * Like productRules.js this has no DOM or Node APIs; browsers and Node both import it.
+ *
+ * @example
+ * import { formatPremium, formatTimestamp } from '../shared/resultFormat.js';
+ *
+ * formatPremium(1150, { locale: 'en', currency: 'USD' });  // '$1,150.00'
+ * formatPremium(1150, { locale: 'es', currency: 'USD' });  // '1150,00 US$'
+ * formatTimestamp('2026-10-19T15:04:05Z', { locale: 'en', timeZone: 'UTC' });
+ * // 'Oct 19, 2026, 3:04:05 PM UTC'
+ */
+
+/**
+ * Currency used when a rating response doesn't name one
+ * @type {string}
+ */
+export const DEFAULT_CURRENCY = 'USD';
+
+/**
+ * Intl options for the quote timestamp (tests parse with the same options)
+ * @type {Intl.DateTimeFormatOptions}
+ */
+export const TIMESTAMP_FORMAT = { dateStyle: 'medium', timeStyle: 'long' };
+
+/**
+ * Intl options for rating factors (always two decimals: ×1.10)
+ * @type {Intl.NumberFormatOptions}
+ */
+export const FACTOR_FORMAT = { minimumFractionDigits: 2, maximumFractionDigits: 2 };
+
+/**
+ * Format an amount of money in a locale
+ *
+ * @param {number} amount - Amount in major units (dollars)
+ * @param {Object} options
+ * @param {string} options.locale - BCP-47 locale tag
+ * @param {string} [options.currency=DEFAULT_CURRENCY] - ISO 4217 code
+ * @returns {string} Localized amount (e.g., '$1,150.00')
+ */
+export function formatPremium(amount, { locale, currency = DEFAULT_CURRENCY }) {
+  return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(amount);
+}
+
+/**
+ * Format a rating factor in a locale
+ *
+ * @param {number} factor - Multiplier (e.g., 1.1)
+ * @param {Object} options
+ * @param {string} options.locale - BCP-47 locale tag
+ * @returns {string} Localized factor (e.g., '×1.10', '×1,10')
+ */
+export function formatFactor(factor, { locale }) {
+  return `×${new Intl.NumberFormat(locale, FACTOR_FORMAT).format(factor)}`;
+}
+
+/**
+ * Format an instant in a locale and time zone
+ *
+ * @param {string|number|Date} instant - ISO string, epoch milliseconds or Date
+ * @param {Object} options
+ * @param {string} options.locale - BCP-47 locale tag
+ * @param {string} options.timeZone - IANA time zone (e.g., 'UTC', 'America/Chicago')
+ * @returns {string} Localized date and time (e.g., 'Oct 19, 2026, 3:04:05 PM UTC')
+ */
+export function formatTimestamp(instant, { locale, timeZone }) {
+  return new Intl.DateTimeFormat(locale, { ...TIMESTAMP_FORMAT, timeZone }).format(new Date(instant));
+}
@@ -0,0 +1,120 @@
+// tests/a11y/accessibility-audit.spec.js
+// ACCESSIBILITY AUDIT - Offline rule engine against every state of the quote flow
+//
+// Runs as its own Playwright project ("accessibility"): npm run test:a11y
+// The rule engine (tests/helpers/a11y/accessibilityAudit.js) is checked on
+// known-good and known-bad markup first, then audits the page in each state a
+// user can put it in. Every state's violations are attached to the report.
+
+import { test, expect } from '../helpers/fixtures/ratingApiMock.js';
+import { fillQuoteForm, submitQuote, getQuote, getErrorMessage, openQuotePage } from '../helpers/flows/quoteFlows.js';
+import { auditAccessibility, formatViolations } from '../helpers/a11y/accessibilityAudit.js';
+
+const elementsViolating = async (page, rule) =>
+  (await auditAccessibility(page, { rules: [rule] })).map((violation) => violation.element);
+
+// ============================================
+// RULE ENGINE (5 tests)
+// ============================================
+
+test.describe('Accessibility Audit: Rule Engine', () => {
+
+  test('flags focusable content inside aria-hidden', async ({ page }) => {
+    await page.setContent(`
+      <div aria-hidden="true"><button id="reachable">Go</button><button id="skipped" tabindex="-1">Go</button></div>
+      <div aria-hidden="true" hidden><button id="gone">Go</button></div>`);
+
+    expect(await elementsViolating(page, 'aria-hidden-focus')).toEqual(['button#reachable']);
+  });
+
+  test('flags rendered controls and regions without a name', async ({ page }) => {
+    await page.setContent(`
+      <button id="empty"></button><button id="icon" aria-label="Close"></button>
+      <label for="named">Revenue</label><input id="named"><input id="unnamed">
+      <section id="anonymous" role="region">Result</section><button id="invisible" hidden></button>`);
+
+    expect(await elementsViolating(page, 'accessible-name')).toEqual(['button#empty', 'input#unnamed', 'section#anonymous']);
+  });
+
+  test('flags roles that are not ARIA roles', async ({ page }) => {
+    await page.setContent('<div id="typo" role="staus">Saved</div><div id="fallback" role="switch checkbox">On</div><div id="notice" role="alert">Hi</div>');
+
+    expect(await elementsViolating(page, 'valid-role')).toEqual(['div#typo']);
+  });
+
+  test('flags text below AA contrast on solid, translucent and gradient backdrops', async ({ page }) => {
+    await page.setContent(`
+      <p id="gray" style="color:#777">Just below 4.5:1</p>
+      <p id="passing" style="color:#767676">Just above 4.5:1</p>
+      <p id="large" style="color:#949494; font-size:24px">Large text needs 3:1</p>
+      <div style="background:#000"><p id="veiled" style="color:#fff; background:rgba(255,255,255,0.8)">White veil</p></div>
+      <div style="background:linear-gradient(#fff, #000)"><p id="gradient" style="color:#000">Dark stop</p></div>
+      <button id="disabled" style="color:#ccc" disabled>Exempt</button>`);
+
+    expect(await elementsViolating(page, 'color-contrast')).toEqual(['p#gray', 'p#veiled', 'p#gradient']);
+  });
+
+  test('flags live regions that are not rendered', async ({ page }) => {
+    await page.setContent(`
+      <div id="collapsed" role="status" style="display:none">Loading</div>
+      <div id="empty" aria-live="polite"></div>
+      <div id="muted" aria-live="off" hidden></div>
+      <div id="alert" role="alert" hidden>Error</div>`);
+
+    expect(await elementsViolating(page, 'live-region-rendered')).toEqual(['div#collapsed']);
+  });
+});
+
+// ============================================
+// QUOTE PAGE (6 tests)
+// ============================================
+
+// Each flow state a user can put the page in, reached from a freshly loaded page
+const FLOW_STATES = {
+  'initial': async () => {},
+
+  'V1 state selected': async ({ page, labels: L }) => {
+    await page.getByLabel(L.customer_state).selectOption('TX');
+  },
+
+  'V2 state selected': async ({ page, labels: L }) => {
+    await page.getByLabel(L.customer_state).selectOption('WI');
+  },
+
+  'loading': async ({ page, labels: L, mockRatingApi }) => {
+    // The request hangs, so the page stays in its loading state while it is audited
+    await mockRatingApi('timeout');
+    await fillQuoteForm(page, { state: 'WI', business: 'retail', revenue: '50000', coverage: 'gold' });
+    await submitQuote(page);
+    await expect(page.getByLabel(L.loading)).toBeVisible();
+  },
+
+  'result': async ({ page }) => {
+    await getQuote(page, { state: 'WI', business: 'retail', revenue: '50000', coverage: 'gold' });
+  },
+
+  'error': async ({ page, mockRatingApi }) => {
+    await mockRatingApi('badRequest', { error: 'Invalid revenue' });
+    await fillQuoteForm(page, { state: 'TX', business: 'retail', revenue: '50000' });
+    await submitQuote(page);
+    await getErrorMessage(page);
+  },
+};
+
+test.describe('Accessibility Audit: Quote Page', () => {
+
+  for (const [state, reach] of Object.entries(FLOW_STATES)) {
+    test(`${state} page has no accessibility violations`, async ({ page, labels, mockRatingApi }, testInfo) => {
+      await openQuotePage(page);
+      await reach({ page, labels, mockRatingApi });
+
+      const violations = await auditAccessibility(page);
+      await testInfo.attach(`accessibility-${state.replace(/\s+/g, '-')}.json`, {
+        body: JSON.stringify(violations, null, 2),
+        contentType: 'application/json',
+      });
+
+      expect(violations, formatViolations(violations)).toEqual([]);
+    });
+  }
+});
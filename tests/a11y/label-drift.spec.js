@@ -0,0 +1,56 @@
+// tests/a11y/label-drift.spec.js
+// LABEL DRIFT - index.html accessible names vs the label registry
+//
+// Runs as its own Playwright project ("label-drift") that the ui-<locale>
+// projects depend on: if a name drifts, this fails first with a precise diff
+// instead of a getByLabel timing out deep inside a user flow.
+// One check per UI locale (UI_LOCALES), so every ui-<locale> project is covered.
+
+import { test, expect } from '../helpers/fixtures/ratingApiMock.js';
+import { getQuote, getErrorMessage, fillQuoteForm, submitQuote, compareCoverage, openQuotePage } from '../helpers/flows/quoteFlows.js';
+import { collectAccessibleNames, diffLabelRegistry } from '../helpers/a11y/labelDrift.js';
+import { UI_LOCALES } from '../helpers/env.js';
+
+for (const locale of UI_LOCALES) {
+  test.describe(locale, () => {
+    test.use({ locale });
+
+    test('accessible names match the label registry', async ({ page, labels: L, mockRatingApi }, testInfo) => {
+      const snapshots = [];
+
+      // Initial page
+      await openQuotePage(page);
+      snapshots.push(await collectAccessibleNames(page));
+
+      // V1 state - coverage unavailable notice
+      await page.getByLabel(L.customer_state).selectOption('TX');
+      snapshots.push(await collectAccessibleNames(page));
+
+      // V2 state with a quote - coverage radios and result region
+      await getQuote(page, { state: 'WI', business: 'retail', revenue: '50000', coverage: 'none' });
+      snapshots.push(await collectAccessibleNames(page));
+
+      // Coverage comparison - one choose button per tier
+      await compareCoverage(page, { state: 'WI', business: 'retail', revenue: '50000' });
+      snapshots.push(await collectAccessibleNames(page));
+
+      // Error
+      await mockRatingApi('badRequest', { error: 'Invalid revenue' });
+      await fillQuoteForm(page, { state: 'WI', business: 'retail', revenue: '50000', coverage: 'none' });
+      await submitQuote(page);
+      await getErrorMessage(page);
+      snapshots.push(await collectAccessibleNames(page));
+
+      const report = diffLabelRegistry(snapshots, L);
+      await testInfo.attach(`label-drift-${locale}.json`, {
+        body: JSON.stringify(report, null, 2),
+        contentType: 'application/json',
+      });
+
+      expect.soft(report.unregistered, 'Accessible names on the page with no label registry key').toEqual([]);
+      expect.soft(report.unused, 'Label registry keys with no matching element on the page').toEqual([]);
+      expect.soft(report.duplicates, 'Accessible names used by more than one element').toEqual([]);
+      expect.soft(report.ambiguous, 'Accessible names that getByLabel would also match elsewhere').toEqual([]);
+    });
+  });
+}
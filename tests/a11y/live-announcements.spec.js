@@ -0,0 +1,63 @@
+// tests/a11y/live-announcements.spec.js
+// LIVE ANNOUNCEMENTS - What a screen reader hears during the quote flow
+//
+// Runs in the "accessibility" project: npm run test:a11y
+// The announcements fixture (tests/helpers/fixtures/liveAnnouncements.js)
+// records each text change of the page's aria-live regions and alerts, so the
+// flows assert the spoken sequence by label key instead of what is visible.
+
+import { test, expect } from '../helpers/fixtures/liveAnnouncements.js';
+import { fillQuoteForm, submitQuote, getQuote, getErrorMessage, openQuotePage } from '../helpers/flows/quoteFlows.js';
+
+const QUOTE = { state: 'WI', business: 'retail', revenue: '50000', coverage: 'gold' };
+
+test.beforeEach(async ({ page }) => {
+  await openQuotePage(page);
+});
+
+// ============================================
+// QUOTE FLOW (5 tests)
+// ============================================
+
+test.describe('Live Announcements: Quote Flow', () => {
+
+  test('nothing is announced when the page loads', async ({ page, labels: L, announcements }) => {
+    await expect(page.getByLabel(L.submit_quote)).toBeDisabled();
+
+    await expect(announcements).toHaveAnnounced([]);
+  });
+
+  test('a quote is announced politely after the loading status', async ({ page, text: T, announcements }) => {
+    const result = await getQuote(page, QUOTE);
+
+    await expect(announcements).toHaveAnnounced([
+      { key: 'loading', politeness: 'polite', text: T.loading_text },
+      { key: 'quote_result', politeness: 'polite', text: result.premiumText },
+    ]);
+  });
+
+  test('every new quote is announced again', async ({ page, announcements }) => {
+    await getQuote(page, QUOTE);
+    await getQuote(page, { ...QUOTE, coverage: 'silver' });
+
+    await expect(announcements).toHaveAnnounced(['loading', 'quote_result', 'loading', 'quote_result']);
+  });
+
+  test('choosing a state without new coverages is announced assertively', async ({ page, labels: L, text: T, announcements }) => {
+    await page.getByLabel(L.customer_state).selectOption('TX');
+
+    await expect(announcements).toHaveAnnounced([
+      { key: 'coverage_unavailable_notice', politeness: 'assertive', text: T.coverage_unavailable_text },
+    ]);
+  });
+
+  test('a rejected quote is announced as an alert, not as a result', async ({ page, announcements, mockRatingApi }) => {
+    await mockRatingApi('badRequest', { error: 'Invalid revenue' });
+    await fillQuoteForm(page, QUOTE);
+    await submitQuote(page);
+    const message = (await getErrorMessage(page)).replace(/\s+/g, ' ').trim();
+
+    await expect(announcements).toHaveAnnouncedInOrder(['loading', { key: 'error_message', politeness: 'assertive', text: message }]);
+    await expect(announcements).not.toHaveAnnouncedInOrder(['quote_result']);
+  });
+});
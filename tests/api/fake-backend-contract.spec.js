@@ -0,0 +1,132 @@
+// tests/api/fake-backend-contract.spec.js
+// API Tests - The fake backend against the published OpenAPI document
+//
+// Strategy: Start fake-backend/server.js in-process on a free port - whatever
+// API_BASE_URL points at - and check its answers to every kind of request
+// against shared/rating-api.openapi.json. rating-engine.spec.js checks the
+// API under test; this keeps the local stand-in from drifting when that is
+// the live API.
+
+import { test, expect } from '@playwright/test';
+import { createRatingServer } from '../../fake-backend/server.js';
+import { loadContract, validateRequestBody } from '../helpers/contract/openApiValidator.js';
+import { checkResponse } from '../helpers/fixtures/ratingApiContract.js';
+import { PRODUCT_RULES, STATE_CODES, BUSINESS_TYPES, COVERAGE_TIERS } from '../../shared/productRules.js';
+
+const contract = loadContract();
+
+let server;
+let rateUrl;
+
+test.beforeAll(async () => {
+  server = createRatingServer();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  rateUrl = `http://127.0.0.1:${server.address().port}/rate`;
+});
+
+test.afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+/**
+ * Send a request to the in-process fake backend and assert its response follows the contract
+ * @param {import('@playwright/test').APIRequestContext} request
+ * @param {string} method - HTTP method
+ * @param {string} path - Path relative to the server root ('/rate', '/quotes/Q-1-AB')
+ * @param {Object} [options] - Playwright fetch options (data, headers)
+ * @returns {Promise<{ status: number, body: * }>}
+ */
+async function expectConforming(request, method, path, options = {}) {
+  const response = await request.fetch(new URL(path, rateUrl).href, { method, ...options });
+
+  expect(await checkResponse(response, method, { contract, apiBaseUrl: rateUrl }), `${method} ${path}`).toEqual([]);
+  return { status: response.status(), body: await response.json() };
+}
+
+// ============================================
+// CONTRACT TESTS (5 tests)
+// ============================================
+
+test.describe('Fake Backend: OpenAPI Contract', () => {
+
+  test('every state × business × coverage answers within the contract', async ({ request }) => {
+    for (const state of STATE_CODES) {
+      for (const business of BUSINESS_TYPES) {
+        for (const coverage of COVERAGE_TIERS) {
+          const { status } = await expectConforming(request, 'POST', '/rate', { data: { revenue: 50000, state, business, coverage } });
+          expect([200, 400], `${state} ${business} ${coverage}`).toContain(status);
+        }
+      }
+    }
+  });
+
+  test('every rejected request is a documented 400', async ({ request }) => {
+    const invalid = [
+      {},
+      { revenue: -1, state: 'WI', business: 'retail' },
+      { revenue: '50000', state: 'WI', business: 'retail' },
+      { revenue: 50000, state: 'ZZ', business: 'retail' },
+      { revenue: 50000, state: 'WI', business: 'bakery' },
+      { revenue: 50000, state: 'WI', business: 'retail', coverage: 'diamond' },
+      { revenue: 50000, state: 'TX', business: 'retail', coverage: 'gold' },
+    ];
+
+    for (const data of invalid) {
+      const { status } = await expectConforming(request, 'POST', '/rate', { data });
+      expect(status, JSON.stringify(data)).toBe(400);
+    }
+
+    const { body } = await expectConforming(request, 'POST', '/rate', {
+      headers: { 'Content-Type': 'application/json' },
+      data: Buffer.from('{"revenue": '),
+    });
+    expect(body.error).toBe('Invalid JSON body');
+  });
+
+  test('saved quotes and unknown IDs answer within the contract', async ({ request }) => {
+    const { body: created } = await expectConforming(request, 'POST', '/rate', {
+      data: { revenue: 50000, state: 'WI', business: 'retail', coverage: 'silver' },
+    });
+
+    const { status: found } = await expectConforming(request, 'GET', `/quotes/${created.quoteId}`);
+    const { status: missing } = await expectConforming(request, 'GET', '/quotes/Q-0-NOPE00');
+
+    expect([found, missing]).toEqual([200, 404]);
+  });
+
+  test('wrong methods answer with the documented 405', async ({ request }) => {
+    const { status: rate } = await expectConforming(request, 'GET', '/rate');
+    const { status: lookup } = await expectConforming(request, 'DELETE', '/quotes/Q-0-NOPE00');
+
+    expect([rate, lookup]).toEqual([405, 405]);
+  });
+
+  test('request examples in the contract are valid and rate successfully', async ({ request }) => {
+    const examples = contract.paths['/rate'].post.requestBody.content['application/json'].examples;
+
+    for (const [name, { value }] of Object.entries(examples)) {
+      expect(validateRequestBody(contract, { method: 'POST', path: '/rate', body: value }), name).toEqual([]);
+      const { status, body } = await expectConforming(request, 'POST', '/rate', { data: value });
+      expect(status, name).toBe(200);
+      expect(body.currency).toBe(PRODUCT_RULES.currency);
+    }
+  });
+});
+
+// ============================================
+// STATIC FILES (1 test)
+// ============================================
+
+test.describe('Fake Backend: Static Files', () => {
+
+  test('malformed, dotfile and missing paths are 404, not 500', async ({ request }) => {
+    const page = await request.get(new URL('/index.html', rateUrl).href);
+    expect(page.status()).toBe(200);
+
+    for (const path of ['/%E0%A4%A', '/%', '/.git/config', '/missing.html']) {
+      const response = await request.get(new URL(path, rateUrl).href);
+      expect(response.status(), path).toBe(404);
+      expect(await response.json(), path).toEqual({ error: 'Not found' });
+    }
+  });
+});
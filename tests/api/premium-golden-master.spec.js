@@ -0,0 +1,65 @@
+// tests/api/premium-golden-master.spec.js
+// API Tests - Every premium of the rating grid against the recorded golden master
+//
+// Strategy: Rate every state × business × coverage × representative revenue
+// (tests/helpers/golden/premiumTable.js) and compare each premium to the cent
+// with tests/golden/premium-table.csv. A mismatch fails with one line per
+// changed cell (attached as premium-diff.txt), so a 10% rating error can't
+// hide inside a range assertion.
+//
+// Re-record after an intended rate change - then review the CSV diff:
+//   npm run golden:update
+//
+// The table holds coverage tiers and currencies, so it is @fake-backend only.
+
+import { test, expect } from '../helpers/fixtures/ratingApiContract.js';
+import { API_BASE_URL as API_URL, IS_FAKE_BACKEND } from '../helpers/env.js';
+import {
+  premiumGrid, readPremiumTable, writePremiumTable, diffPremiumTables, formatPremiumDiff, PREMIUM_TABLE_PATH,
+} from '../helpers/golden/premiumTable.js';
+
+// ============================================
+// GOLDEN MASTER (1 test)
+// ============================================
+
+test.describe('API Golden Master: Premium Table', { tag: '@fake-backend' }, () => {
+  test.skip(!IS_FAKE_BACKEND, 'The table was recorded from the fake backend, with coverage and currency');
+
+  test('every cell of the grid rates to its recorded premium', async ({ request }, testInfo) => {
+    // Hundreds of sequential requests - generous for a remote API_BASE_URL
+    test.setTimeout(180000);
+
+    const rated = [];
+    for (const cell of premiumGrid()) {
+      const response = await request.post(API_URL, { data: cell });
+      const { premium, currency, error } = await response.json();
+      rated.push(response.ok() ? { ...cell, premium, currency } : { ...cell, error: error ?? `HTTP ${response.status()}` });
+    }
+
+    const recorded = readPremiumTable();
+    const changes = recorded ? diffPremiumTables(recorded, rated) : [];
+    const diff = formatPremiumDiff(changes, { total: rated.length });
+    if (diff) {
+      await testInfo.attach('premium-diff.txt', { body: diff, contentType: 'text/plain' });
+    }
+
+    // Only an explicit --update-snapshots records: a missing table fails under the default
+    // 'missing' mode, so a deleted or never-committed CSV can't pass by recording itself
+    const { updateSnapshots } = testInfo.config;
+    const record = ['all', 'changed'].includes(updateSnapshots);
+    if (record && (!recorded || changes.length > 0 || updateSnapshots === 'all')) {
+      const failed = rated.filter((row) => row.error);
+      expect(failed, 'Every grid cell must rate before the table is recorded').toEqual([]);
+
+      writePremiumTable(rated);
+      testInfo.annotations.push({
+        type: 'golden-master',
+        description: `Recorded ${rated.length} premiums to ${PREMIUM_TABLE_PATH} (${changes.length} changed)`,
+      });
+      return;
+    }
+
+    expect(recorded, 'No premium table recorded - run npm run golden:update').not.toBeNull();
+    expect(changes.length, `${diff}\nIntended rate change? Re-record with: npm run golden:update`).toBe(0);
+  });
+});
@@ -1,10 +1,13 @@
 // tests/api/rating-engine.spec.js
 // API Tests - Backend Contract Validation
 // Tests edge cases and validation that the UI cannot reach
+// Every response is also validated against shared/rating-api.openapi.json (see ratingApiContract.js)
+// Tests tagged @fake-backend cover what only the fake backend serves so far and skip
+// when API_BASE_URL points elsewhere
 
-import { test, expect } from '@playwright/test';
-
-const API_URL = process.env.API_BASE_URL || 'https://rating-api.jeremy-vajko.workers.dev/rate';
+import { test, expect } from '../helpers/fixtures/ratingApiContract.js';
+import { API_BASE_URL as API_URL, IS_FAKE_BACKEND, quoteLookupUrl } from '../helpers/env.js';
+import { PRODUCT_RULES, V1_STATES, COVERAGE_TIERS } from '../../shared/productRules.js';
 
 // ============================================
 // VALIDATION TESTS (10 tests)
@@ -110,7 +113,7 @@ test.describe('API Validation - Edge Cases UI Cannot Reach', () => {
 });
 
 // ============================================
-// RESPONSE STRUCTURE TESTS (3 tests)
+// RESPONSE STRUCTURE TESTS (4 tests)
 // Verify the API contract is correct
 // ============================================
 
@@ -151,6 +154,18 @@ test.describe('API Response Structure', () => {
     
     expect(body.quoteId).toMatch(/^Q-\d+-[A-Z0-9]+$/);
   });
+
+  test('premium should carry its ISO 4217 currency code', { tag: '@fake-backend' }, async ({ request }) => {
+    test.skip(!IS_FAKE_BACKEND, 'Currency is only returned by the fake backend');
+    const response = await request.post(API_URL, {
+      data: { revenue: 50000, state: 'CA', business: 'retail' }
+    });
+    
+    expect(response.status()).toBe(200);
+    const body = await response.json();
+    
+    expect(body.currency).toBe(PRODUCT_RULES.currency);
+  });
 });
 
 // ============================================
@@ -196,3 +211,194 @@ test.describe('API Business Logic', () => {
     expect(body1.premium).toBe(body2.premium);
   });
 });
+
+// ============================================
+// COVERAGE TIER TESTS (5 tests)
+// Coverage is part of the rating request in V2 states
+// ============================================
+
+test.describe('API Coverage Tiers', { tag: '@fake-backend' }, () => {
+  test.skip(!IS_FAKE_BACKEND, 'Coverage is only rated by the fake backend');
+
+  test('omitted coverage is rated the same as coverage none', async ({ request }) => {
+    const withoutCoverage = await request.post(API_URL, {
+      data: { revenue: 50000, state: 'WI', business: 'retail' }
+    });
+    const withNone = await request.post(API_URL, {
+      data: { revenue: 50000, state: 'WI', business: 'retail', coverage: 'none' }
+    });
+
+    expect(withoutCoverage.status()).toBe(200);
+    expect(withNone.status()).toBe(200);
+    expect((await withoutCoverage.json()).premium).toBe((await withNone.json()).premium);
+  });
+
+  test('each coverage tier produces a higher premium in V2 states', async ({ request }) => {
+    const premiums = [];
+
+    for (const coverage of ['none', 'silver', 'gold', 'platinum']) {
+      const response = await request.post(API_URL, {
+        data: { revenue: 50000, state: 'WI', business: 'retail', coverage }
+      });
+
+      expect(response.status()).toBe(200);
+      premiums.push((await response.json()).premium);
+    }
+
+    for (let i = 1; i < premiums.length; i++) {
+      expect(premiums[i]).toBeGreaterThan(premiums[i - 1]);
+    }
+  });
+
+  test('V1 states accept coverage none', async ({ request }) => {
+    const response = await request.post(API_URL, {
+      data: { revenue: 50000, state: 'TX', business: 'retail', coverage: 'none' }
+    });
+
+    expect(response.status()).toBe(200);
+  });
+
+  test('should reject paid coverage tiers in V1 states', async ({ request }) => {
+    const response = await request.post(API_URL, {
+      data: { revenue: 50000, state: 'TX', business: 'retail', coverage: 'gold' }
+    });
+
+    expect(response.status()).toBe(400);
+    const body = await response.json();
+    expect(body.error).toMatch(/Coverage not available in state/i);
+  });
+
+  test('should reject unknown coverage tier', async ({ request }) => {
+    const response = await request.post(API_URL, {
+      data: { revenue: 50000, state: 'WI', business: 'retail', coverage: 'diamond' }
+    });
+
+    expect(response.status()).toBe(400);
+    const body = await response.json();
+    expect(body.error).toMatch(/Invalid coverage/i);
+  });
+});
+
+// ============================================
+// PREMIUM BREAKDOWN TESTS (2 tests)
+// The response itemizes every component of the premium
+// ============================================
+
+test.describe('API Premium Breakdown', { tag: '@fake-backend' }, () => {
+  test.skip(!IS_FAKE_BACKEND, 'The breakdown is only returned by the fake backend');
+
+  test('success response includes each premium component', async ({ request }) => {
+    const response = await request.post(API_URL, {
+      data: { revenue: 50000, state: 'WI', business: 'manufacturing', coverage: 'gold' }
+    });
+
+    expect(response.status()).toBe(200);
+    const body = await response.json();
+
+    expect(body.breakdown).toEqual({
+      base: expect.any(Number),
+      stateFactor: expect.any(Number),
+      businessFactor: expect.any(Number),
+      coverageFactor: expect.any(Number),
+    });
+  });
+
+  test('breakdown components multiply to the premium', async ({ request }) => {
+    const response = await request.post(API_URL, {
+      data: { revenue: 75000, state: 'NV', business: 'manufacturing', coverage: 'platinum' }
+    });
+
+    expect(response.status()).toBe(200);
+    const { premium, breakdown } = await response.json();
+    const { base, stateFactor, businessFactor, coverageFactor } = breakdown;
+
+    expect(premium).toBeCloseTo(base * stateFactor * businessFactor * coverageFactor, 2);
+  });
+});
+
+// ============================================
+// QUOTE LOOKUP TESTS (4 tests)
+// Every rated quote can be retrieved later by its quoteId
+// ============================================
+
+test.describe('API Quote Lookup', { tag: '@fake-backend' }, () => {
+  test.skip(!IS_FAKE_BACKEND, 'Quote lookup is only served by the fake backend');
+
+  test('a created quote round-trips exactly with its inputs', async ({ request }) => {
+    const inputs = { revenue: 75000, state: 'OH', business: 'restaurant', coverage: 'gold' };
+    const created = await (await request.post(API_URL, { data: inputs })).json();
+
+    const response = await request.get(quoteLookupUrl(created.quoteId));
+
+    expect(response.status()).toBe(200);
+    expect(await response.json()).toEqual({ ...created, inputs });
+  });
+
+  test('omitted coverage is stored as none', async ({ request }) => {
+    const created = await (await request.post(API_URL, {
+      data: { revenue: 50000, state: 'TX', business: 'retail' }
+    })).json();
+
+    const body = await (await request.get(quoteLookupUrl(created.quoteId))).json();
+
+    expect(body.inputs).toEqual({ revenue: 50000, state: 'TX', business: 'retail', coverage: 'none' });
+    expect(body.premium).toBe(created.premium);
+  });
+
+  test('unknown quote IDs return 404', async ({ request }) => {
+    const response = await request.get(quoteLookupUrl('Q-0-NOPE00'));
+
+    expect(response.status()).toBe(404);
+    const body = await response.json();
+    expect(body.error).toMatch(/Quote not found/i);
+  });
+
+  test('lookup is read-only', async ({ request }) => {
+    const created = await (await request.post(API_URL, {
+      data: { revenue: 50000, state: 'WI', business: 'retail' }
+    })).json();
+
+    const response = await request.post(quoteLookupUrl(created.quoteId), { data: { premium: 0 } });
+
+    expect(response.status()).toBe(405);
+    expect((await (await request.get(quoteLookupUrl(created.quoteId))).json()).premium).toBe(created.premium);
+  });
+});
+
+// ============================================
+// PRODUCT RULES MATRIX (generated)
+// One test per state × business and per V1 state × paid tier,
+// generated from shared/productRules.js
+// ============================================
+
+test.describe('API Product Rules Matrix', () => {
+
+  for (const state of PRODUCT_RULES.states) {
+    for (const business of PRODUCT_RULES.businessTypes) {
+      test(`rates ${state.code} ${business.value}`, async ({ request }) => {
+        const response = await request.post(API_URL, {
+          data: { revenue: 50000, state: state.code, business: business.value }
+        });
+
+        expect(response.status()).toBe(200);
+        const body = await response.json();
+        expect(body.premium).toBeGreaterThan(0);
+      });
+    }
+  }
+
+  for (const state of V1_STATES) {
+    for (const coverage of COVERAGE_TIERS.filter((tier) => tier !== 'none')) {
+      test(`rejects ${coverage} coverage in V1 state ${state}`, { tag: '@fake-backend' }, async ({ request }) => {
+        test.skip(!IS_FAKE_BACKEND, 'Coverage is only rated by the fake backend');
+        const response = await request.post(API_URL, {
+          data: { revenue: 50000, state, business: 'retail', coverage }
+        });
+
+        expect(response.status()).toBe(400);
+        const body = await response.json();
+        expect(body.error).toMatch(/Coverage not available in state/i);
+      });
+    }
+  }
+});
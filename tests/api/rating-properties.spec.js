@@ -0,0 +1,70 @@
+// tests/api/rating-properties.spec.js
+// API Tests - Rating engine invariants over hundreds of generated requests
+//
+// Strategy: Instead of hand-picked examples, generate PROPERTY_RUNS requests
+// (default 200) per invariant from a seeded PRNG. A failing request is shrunk
+// to a minimal payload and reported with the seed; replay it with
+// PROPERTY_SEED=<seed> npm run test:api. Every response is also checked
+// against the OpenAPI contract by the request fixture.
+
+import { test, expect } from '../helpers/fixtures/ratingApiContract.js';
+import { API_BASE_URL as API_URL, IS_FAKE_BACKEND } from '../helpers/env.js';
+import { checkProperty, PROPERTY_SEED } from '../helpers/property/propertyTesting.js';
+import { validRateRequest, invalidRateRequest, revenuePair } from '../helpers/property/rateRequests.js';
+
+test.beforeEach(async () => {
+  test.info().annotations.push({ type: 'property-seed', description: `PROPERTY_SEED=${PROPERTY_SEED}` });
+});
+
+// ============================================
+// PROPERTIES (4 tests)
+// ============================================
+
+test.describe('API Properties: Rating Invariants', () => {
+
+  test('premium is a non-negative, finite product of its breakdown', async ({ request }) => {
+    await checkProperty('premium is non-negative and finite', validRateRequest, async (body) => {
+      const response = await request.post(API_URL, { data: body });
+      expect(response.status()).toBe(200);
+
+      const { premium, breakdown } = await response.json();
+      expect(Number.isFinite(premium)).toBe(true);
+      expect(premium).toBeGreaterThanOrEqual(0);
+      if (breakdown) {
+        // The premium is the product rounded to cents: off by at most half a cent (plus float noise)
+        const { base, stateFactor, businessFactor, coverageFactor } = breakdown;
+        expect(Math.abs(premium - base * stateFactor * businessFactor * coverageFactor)).toBeLessThanOrEqual(0.005 + 1e-6);
+      }
+    });
+  });
+
+  test('premium never decreases as revenue grows', async ({ request }) => {
+    await checkProperty('premium is monotonic in revenue', revenuePair, async ({ body, lowRevenue, highRevenue }) => {
+      const rate = async (revenue) => (await (await request.post(API_URL, { data: { ...body, revenue } })).json()).premium;
+
+      expect(await rate(highRevenue)).toBeGreaterThanOrEqual(await rate(lowRevenue));
+    });
+  });
+
+  test('identical requests get identical premiums', async ({ request }) => {
+    await checkProperty('rating is deterministic', validRateRequest, async (body) => {
+      const rate = async () => {
+        const { premium, currency, breakdown } = await (await request.post(API_URL, { data: body })).json();
+        return { premium, currency, breakdown };
+      };
+
+      expect(await rate()).toEqual(await rate());
+    });
+  });
+
+  test('every invalid request gets a 400 with its error', { tag: '@fake-backend' }, async ({ request }) => {
+    // Invalid requests include coverage defects, which only the fake backend rejects
+    test.skip(!IS_FAKE_BACKEND, 'Coverage is only rated by the fake backend');
+    await checkProperty('invalid input is rejected with the right error', invalidRateRequest, async ({ body, errors }) => {
+      const response = await request.post(API_URL, { data: body });
+
+      expect(response.status()).toBe(400);
+      expect(errors).toContain((await response.json()).error);
+    }, { format: ({ body, family }) => `${JSON.stringify(body)} (${family})` });
+  });
+});
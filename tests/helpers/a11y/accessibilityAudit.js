@@ -0,0 +1,288 @@
+/**
+ * @fileoverview Accessibility Audit - Offline rule engine run inside the page
+ *
+ * The Thin App Model treats accessibility semantics as the page's API, so the
+ * suite has to check more than "the label resolves". auditAccessibility()
+ * evaluates a small set of rules against the live DOM - computed styles
+ * included - with no external service or dependency, and returns one entry
+ * per violating element.
+ *
+ * RULES:
+ * - aria-hidden-focus: Focusable element inside aria-hidden="true" (keyboard users reach
+ *   something screen reader users are told doesn't exist)
+ * - accessible-name: Rendered control or region with no accessible name
+ * - valid-role: role attribute with a token that is not an ARIA 1.2 role
+ * - color-contrast: Text below WCAG AA contrast (4.5:1, or 3:1 for large text)
+ * - live-region-rendered: aria-live / status / log region that is not rendered - content
+ *   revealed in it later is not reliably announced. Alerts are exempt: showing one announces it.
+ *
+ * PHILOSOPHY:
+ * - Rules see what the browser sees: computed styles, rendered boxes, current state
+ * - Only what can be decided exactly is reported - text over images or gradient-painted text
+ *   is skipped rather than guessed
+ * - Run it in every state of a flow; a page is only as accessible as its worst state
+ *
+ * CONTRAST:
+ * The backdrop is found by walking up to the first opaque background, compositing
+ * translucent layers on the way. A gradient counts as each of its color stops, and the
+ * worst stop decides. Disabled controls are exempt (WCAG 1.4.3).
+ *
+ * @example
+ * import { auditAccessibility, formatViolations } from '../helpers/a11y/accessibilityAudit.js';
+ *
+ * const violations = await auditAccessibility(page);
+ * expect(violations, formatViolations(violations)).toEqual([]);
+ */
+
+/**
+ * Rules auditAccessibility() knows, with what each one checks
+ * @type {Object<string, string>}
+ */
+export const AUDIT_RULES = {
+  'aria-hidden-focus': 'Focusable elements must not be inside aria-hidden="true"',
+  'accessible-name': 'Controls and regions must have an accessible name',
+  'valid-role': 'role must name ARIA roles',
+  'color-contrast': 'Text must meet WCAG AA contrast',
+  'live-region-rendered': 'Live regions must stay rendered so their updates are announced',
+};
+
+// --- Color math (pure; also injected into the page, so no outside references) ---
+
+/**
+ * Parse a computed CSS color ('rgb(1, 2, 3)', 'rgba(1, 2, 3, 0.5)', 'rgb(1 2 3 / 50%)')
+ *
+ * @param {string} text - Computed color value
+ * @returns {{ r: number, g: number, b: number, a: number }|null} Channels 0-255, alpha 0-1; null if not rgb()
+ */
+export function parseColor(text) {
+  const match = /^rgba?\(([^)]+)\)$/.exec(String(text).trim());
+  if (!match) return null;
+  const [r, g, b, alpha = '1'] = match[1].split(/[\s,/]+/).filter(Boolean);
+  const a = alpha.endsWith('%') ? parseFloat(alpha) / 100 : parseFloat(alpha);
+  return { r: parseFloat(r), g: parseFloat(g), b: parseFloat(b), a };
+}
+
+/**
+ * Color stops of the gradients in a computed background-image
+ *
+ * @param {string} backgroundImage - Computed value ('none', 'linear-gradient(135deg, rgb(...) 0%, ...)')
+ * @returns {Array<{ r: number, g: number, b: number, a: number }>} Stops in order (empty without gradients)
+ */
+export function gradientColors(backgroundImage) {
+  if (!/gradient\(/.test(String(backgroundImage))) return [];
+  return (String(backgroundImage).match(/rgba?\([^)]*\)/g) || []).map(parseColor);
+}
+
+/**
+ * Paint a translucent color over an opaque one
+ *
+ * @param {{ r, g, b, a }} top - Color on top
+ * @param {{ r, g, b }} bottom - Opaque color below
+ * @returns {{ r: number, g: number, b: number, a: number }} Opaque result
+ */
+export function compositeOver(top, bottom) {
+  const mix = (channel) => top[channel] * top.a + bottom[channel] * (1 - top.a);
+  return { r: mix('r'), g: mix('g'), b: mix('b'), a: 1 };
+}
+
+/**
+ * WCAG relative luminance
+ *
+ * @param {{ r, g, b }} color - Opaque color
+ * @returns {number} 0 (black) to 1 (white)
+ */
+export function relativeLuminance({ r, g, b }) {
+  const linear = (channel) => {
+    const value = channel / 255;
+    return value <= 0.04045 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+}
+
+/**
+ * WCAG contrast ratio of two opaque colors
+ *
+ * @param {{ r, g, b }} foreground
+ * @param {{ r, g, b }} background
+ * @returns {number} 1 to 21
+ *
+ * @example
+ * contrastRatio(parseColor('rgb(118, 118, 118)'), parseColor('rgb(255, 255, 255)')); // 4.54
+ */
+export function contrastRatio(foreground, background) {
+  const [light, dark] = [relativeLuminance(foreground), relativeLuminance(background)].sort((x, y) => y - x);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+const COLOR_HELPERS = [parseColor, gradientColors, compositeOver, relativeLuminance, contrastRatio];
+
+// --- Rule engine (runs in the page: only COLOR_HELPERS and DOM APIs in scope) ---
+
+function auditDocument(rules) {
+  const FOCUSABLE = 'a[href], button, input:not([type="hidden"]), select, textarea, [tabindex], [contenteditable="true"]';
+  const NEEDS_NAME = [
+    'a[href]', 'button', 'input:not([type="hidden"])', 'select', 'textarea',
+    ...['button', 'link', 'checkbox', 'radio', 'combobox', 'textbox', 'searchbox', 'spinbutton',
+      'slider', 'switch', 'tab', 'menuitem', 'option', 'region', 'dialog', 'alertdialog'].map((role) => `[role="${role}"]`),
+  ].join(', ');
+  const ROLES = new Set(`alert alertdialog application article banner blockquote button caption cell checkbox code
+    columnheader combobox complementary contentinfo definition deletion dialog directory document emphasis feed
+    figure form generic grid gridcell group heading img insertion link list listbox listitem log main marquee math
+    menu menubar menuitem menuitemcheckbox menuitemradio meter navigation none note option paragraph presentation
+    progressbar radio radiogroup region row rowgroup rowheader scrollbar search searchbox separator slider
+    spinbutton status strong subscript superscript switch tab table tablist tabpanel term textbox time timer
+    toolbar tooltip tree treegrid treeitem`.split(/\s+/));
+  const LIVE_REGIONS = '[aria-live]:not([aria-live="off"]), [role="status"], [role="log"]';
+  const WHITE = { r: 255, g: 255, b: 255, a: 1 };
+
+  const violations = [];
+  const report = (rule, el, message) => violations.push({ rule, element: describe(el), message });
+
+  function describe(el) {
+    const id = el.id ? `#${el.id}` : '';
+    const label = el.getAttribute('aria-label');
+    const classes = !id && el.classList.length ? `.${[...el.classList].join('.')}` : '';
+    return `${el.tagName.toLowerCase()}${id}${classes}${label ? ` "${label}"` : ''}`;
+  }
+  const text = (el) => (el.textContent || '').replace(/\s+/g, ' ').trim();
+  // In the layout (display:none anywhere above leaves no boxes) and not invisible
+  const rendered = (el) => el.getClientRects().length > 0 && getComputedStyle(el).visibility !== 'hidden';
+  const ariaHidden = (el) => el.closest('[aria-hidden="true"]') !== null;
+  const focusable = (el) => el.matches(FOCUSABLE) && !el.disabled && el.tabIndex >= 0 && rendered(el);
+
+  // Simplified accessible name computation: aria-labelledby, aria-label, <label>, contents, title
+  function nameOf(el) {
+    const labelledBy = el.getAttribute('aria-labelledby');
+    const byIds = labelledBy ? labelledBy.split(/\s+/).map((id) => document.getElementById(id)).filter(Boolean).map(text).join(' ') : '';
+    if (byIds) return byIds;
+    if ((el.getAttribute('aria-label') || '').trim()) return el.getAttribute('aria-label').trim();
+    const labels = el.labels ? [...el.labels].map(text).join(' ').trim() : '';
+    if (labels) return labels;
+    if (el.tagName === 'INPUT' && ['submit', 'button', 'reset'].includes(el.type)) return el.value.trim();
+    const role = el.getAttribute('role');
+    if (['A', 'BUTTON'].includes(el.tagName) || ['button', 'link', 'checkbox', 'radio', 'tab', 'menuitem', 'option'].includes(role)) {
+      if (text(el)) return text(el);
+    }
+    return (el.getAttribute('title') || '').trim();
+  }
+
+  const checks = {
+    'aria-hidden-focus'() {
+      for (const root of document.querySelectorAll('[aria-hidden="true"]')) {
+        for (const el of [root, ...root.querySelectorAll(FOCUSABLE)]) {
+          if (focusable(el)) report('aria-hidden-focus', el, `focusable inside aria-hidden ${describe(root)}`);
+        }
+      }
+    },
+
+    'accessible-name'() {
+      for (const el of document.querySelectorAll(NEEDS_NAME)) {
+        if (rendered(el) && !ariaHidden(el) && !nameOf(el)) report('accessible-name', el, 'has no accessible name');
+      }
+    },
+
+    'valid-role'() {
+      for (const el of document.querySelectorAll('[role]')) {
+        const invalid = el.getAttribute('role').trim().split(/\s+/).filter((role) => !ROLES.has(role));
+        if (invalid.length) report('valid-role', el, `role "${invalid.join(' ')}" is not an ARIA role`);
+      }
+    },
+
+    'color-contrast'() {
+      const hex = ({ r, g, b }) => `#${[r, g, b].map((channel) => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+
+      // Opaque colors the element's text may sit on (one per gradient stop)
+      function backdrops(el) {
+        const layers = [];
+        for (let node = el; node; node = node.parentElement) {
+          const style = getComputedStyle(node);
+          const stops = gradientColors(style.backgroundImage);
+          if (stops.length) {
+            return stops.map((stop) => layers.reduceRight((below, layer) => compositeOver(layer, below), compositeOver(stop, WHITE)));
+          }
+          const color = parseColor(style.backgroundColor);
+          if (color && color.a >= 1) {
+            return [layers.reduceRight((below, layer) => compositeOver(layer, below), color)];
+          }
+          if (color && color.a > 0) layers.push(color);
+        }
+        return [layers.reduceRight((below, layer) => compositeOver(layer, below), WHITE)];
+      }
+
+      const elements = [...document.body.querySelectorAll('*')].filter((el) =>
+        [...el.childNodes].some((node) => node.nodeType === Node.TEXT_NODE && node.textContent.trim() !== ''));
+
+      for (const el of elements) {
+        if (!rendered(el) || ariaHidden(el) || el.closest('select, option, script, style, :disabled')) continue;
+        const style = getComputedStyle(el);
+        const fill = parseColor(style.webkitTextFillColor);
+        const color = parseColor(style.color);
+        // Gradient-painted text (background-clip: text) has no single color to measure
+        if (!color || (fill && fill.a === 0)) continue;
+
+        const size = parseFloat(style.fontSize);
+        const bold = Number(style.fontWeight) >= 700;
+        const large = size >= 24 || (bold && size >= 18.66);
+        const required = large ? 3 : 4.5;
+
+        const ratios = backdrops(el).map((background) => ({
+          background, ratio: contrastRatio(color.a < 1 ? compositeOver(color, background) : color, background),
+        }));
+        const worst = ratios.reduce((low, entry) => (entry.ratio < low.ratio ? entry : low));
+        if (worst.ratio < required) {
+          report('color-contrast', el, `contrast ${worst.ratio.toFixed(2)}:1 is below ${required}:1 `
+            + `(${hex(color)} on ${hex(worst.background)}, ${size}px${bold ? ' bold' : ''})`);
+        }
+      }
+    },
+
+    'live-region-rendered'() {
+      for (const el of document.querySelectorAll(LIVE_REGIONS)) {
+        if (!rendered(el) || ariaHidden(el)) {
+          report('live-region-rendered', el, 'live region is not rendered - keep it rendered (it may be empty) and change its content');
+        }
+      }
+    },
+  };
+
+  rules.forEach((rule) => checks[rule]());
+  return violations;
+}
+
+/**
+ * Audit the page as it is right now
+ *
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {Object} [options]
+ * @param {string[]} [options.rules=Object.keys(AUDIT_RULES)] - Rules to run
+ * @returns {Promise<Array<{ rule: string, element: string, message: string }>>} Violations (empty when clean)
+ * @throws {Error} When a rule name is unknown
+ *
+ * @example
+ * const violations = await auditAccessibility(page, { rules: ['color-contrast'] });
+ * // [{ rule: 'color-contrast', element: 'footer', message: 'contrast 2.51:1 is below 4.5:1 (...)' }]
+ */
+export async function auditAccessibility(page, { rules = Object.keys(AUDIT_RULES) } = {}) {
+  const unknown = rules.filter((rule) => !(rule in AUDIT_RULES));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown accessibility rule(s): ${unknown.join(', ')}. Known rules: ${Object.keys(AUDIT_RULES).join(', ')}`);
+  }
+  return page.evaluate(`(() => {
+${COLOR_HELPERS.map(String).join('\n')}
+return (${auditDocument})(${JSON.stringify(rules)});
+})()`);
+}
+
+/**
+ * Render violations one per line, for assertion messages and reports
+ *
+ * @param {Array<{ rule: string, element: string, message: string }>} violations - From auditAccessibility
+ * @returns {string} Report ('' when there are no violations)
+ *
+ * @example
+ * expect(violations, formatViolations(violations)).toEqual([]);
+ * // [color-contrast] footer: contrast 2.51:1 is below 4.5:1 (#d1d5db on #667eea, 12px)
+ */
+export function formatViolations(violations) {
+  return violations.map(({ rule, element, message }) => `[${rule}] ${element}: ${message}`).join('\n');
+}
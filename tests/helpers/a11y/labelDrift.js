@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Label Drift Helpers - Compare the page's accessible names with the label registry
+ *
+ * The Thin App Model only works while index.html and the label registry agree.
+ * These helpers catch drift up front with a precise diff, instead of a
+ * `getByLabel` timing out 30 seconds into some unrelated test.
+ *
+ * REPORTS:
+ * - unregistered: Accessible names on the page that no registry key produces
+ * - unused: Registry keys whose name no element on the page carries
+ * - duplicates: Names carried by more than one element in the same page state
+ * - ambiguous: Names that contain another name - `getByLabel` matches substrings,
+ *   so 'Loading' would also hit an element named 'Coverage loading'
+ *
+ * @example
+ * const snapshots = [await collectAccessibleNames(page)];
+ * const report = diffLabelRegistry(snapshots, getLabels('en'));
+ * expect(report.unregistered).toEqual([]);
+ */
+
+/**
+ * Collect accessible names of interactive, landmark and explicitly labelled elements
+ * Hidden elements are included: drift matters whether or not they are shown yet.
+ *
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @returns {Promise<Array<{ name: string, role: string, element: string }>>} Named elements
+ *
+ * @example
+ * const names = await collectAccessibleNames(page);
+ * // [{ name: 'Customer state', role: 'combobox', element: 'select#state' }, ...]
+ */
+export async function collectAccessibleNames(page) {
+  return page.evaluate(() => {
+    const INTERACTIVE = 'a[href], button, input:not([type="hidden"]), select, textarea, [tabindex]';
+    const LANDMARK_ROLES = [
+      'alert', 'status', 'log', 'region', 'radiogroup', 'group', 'dialog', 'form',
+      'navigation', 'main', 'complementary', 'search', 'table', 'list',
+    ];
+    const IMPLICIT_ROLES = {
+      A: 'link', BUTTON: 'button', SELECT: 'combobox', TEXTAREA: 'textbox',
+      SECTION: 'region', MAIN: 'main', NAV: 'navigation', FORM: 'form', FIELDSET: 'group',
+      TABLE: 'table', UL: 'list', OL: 'list', DL: 'list', DD: 'definition',
+    };
+
+    const roleOf = (el) => {
+      if (el.getAttribute('role')) return el.getAttribute('role');
+      if (el.tagName === 'INPUT') {
+        return { radio: 'radio', checkbox: 'checkbox', number: 'spinbutton', button: 'button', submit: 'button' }[el.type] || 'textbox';
+      }
+      return IMPLICIT_ROLES[el.tagName] || 'generic';
+    };
+
+    // Simplified accessible name computation: aria-labelledby, aria-label, <label>, contents
+    const nameOf = (el) => {
+      const labelledBy = el.getAttribute('aria-labelledby');
+      if (labelledBy) {
+        return labelledBy.split(/\s+/).map((id) => document.getElementById(id)?.textContent || '').join(' ');
+      }
+      if (el.hasAttribute('aria-label')) return el.getAttribute('aria-label');
+      if (el.labels && el.labels.length) return [...el.labels].map((label) => label.textContent).join(' ');
+      if (['A', 'BUTTON'].includes(el.tagName)) return el.textContent;
+      return el.getAttribute('title') || '';
+    };
+
+    const describe = (el) => el.tagName.toLowerCase() + (el.id ? `#${el.id}` : '');
+
+    const candidates = new Set([
+      ...document.querySelectorAll(INTERACTIVE),
+      ...document.querySelectorAll('[aria-label], [aria-labelledby]'),
+      ...document.querySelectorAll(LANDMARK_ROLES.map((role) => `[role="${role}"]`).join(', ')),
+      ...document.querySelectorAll('main, nav, section, form, fieldset, table'),
+    ]);
+
+    return [...candidates]
+      .map((el) => ({ name: nameOf(el).replace(/\s+/g, ' ').trim(), role: roleOf(el), element: describe(el) }))
+      .filter((entry) => entry.name !== '');
+  });
+}
+
+/**
+ * Turn a registry value into a matcher - {placeholders} match any text
+ *
+ * @param {string} value - Registry value (e.g., 'Restore quote {quoteId}')
+ * @returns {RegExp} Case-sensitive whole-name matcher
+ */
+function registryPattern(value) {
+  const pattern = value
+    .split(/\{\w+\}/)
+    .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.+');
+  return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Diff collected page names against a label map
+ *
+ * @param {Array<Array<{ name: string, role: string, element: string }>>} snapshots -
+ *   One collectAccessibleNames() result per page state
+ * @param {Object<string, string>} labels - Label map (e.g., getLabels('en'))
+ * @returns {{
+ *   unregistered: Array<{ name: string, role: string, element: string }>,
+ *   unused: Array<{ key: string, name: string }>,
+ *   duplicates: Array<{ name: string, elements: string[] }>,
+ *   ambiguous: Array<{ name: string, alsoMatches: string[] }>
+ * }} Drift report - every list is empty when page and registry agree
+ *
+ * @example
+ * const report = diffLabelRegistry([initial, afterQuote], getLabels('es'));
+ */
+export function diffLabelRegistry(snapshots, labels) {
+  const registry = Object.entries(labels).map(([key, value]) => ({ key, value, pattern: registryPattern(value) }));
+  const isRegistered = (name) => registry.some(({ pattern }) => pattern.test(name));
+
+  const seen = new Map();
+  for (const entry of snapshots.flat()) {
+    if (!seen.has(entry.name)) seen.set(entry.name, entry);
+  }
+  const names = [...seen.keys()];
+
+  const unregistered = [...seen.values()].filter((entry) => !isRegistered(entry.name));
+
+  const unused = registry
+    .filter(({ pattern }) => !names.some((name) => pattern.test(name)))
+    .map(({ key, value }) => ({ key, name: value }));
+
+  const duplicates = [];
+  for (const snapshot of snapshots) {
+    const elementsByName = new Map();
+    for (const { name, element } of snapshot) {
+      elementsByName.set(name, [...(elementsByName.get(name) || []), element]);
+    }
+    for (const [name, elements] of elementsByName) {
+      if (elements.length > 1 && !duplicates.some((duplicate) => duplicate.name === name)) {
+        duplicates.push({ name, elements });
+      }
+    }
+  }
+
+  // getByLabel is a case-insensitive substring match by default
+  const ambiguous = names
+    .map((name) => ({
+      name,
+      alsoMatches: names.filter((other) => other !== name && other.toLowerCase().includes(name.toLowerCase())),
+    }))
+    .filter((entry) => entry.alsoMatches.length > 0);
+
+  return { unregistered, unused, duplicates, ambiguous };
+}
@@ -0,0 +1,351 @@
+/**
+ * @fileoverview OpenAPI Validator - Check rating API traffic against shared/rating-api.openapi.json
+ *
+ * The OpenAPI document is the published contract of the rating API. These
+ * helpers find the operation a request hit and validate the response body
+ * (or a request body) against the JSON Schema the document gives for it.
+ *
+ * PHILOSOPHY:
+ * - One document for the live API, the fake backend and the page's mocks
+ * - An undocumented status code is a contract violation, not a pass
+ * - Only the JSON Schema keywords the document uses are supported, and any
+ *   other keyword throws - a schema is never silently half-checked
+ *
+ * SUPPORTED KEYWORDS:
+ * $ref (local), allOf, anyOf, oneOf, type, enum, const, required, properties,
+ * additionalProperties, items, minimum, maximum, exclusiveMinimum,
+ * exclusiveMaximum, minLength, maxLength, pattern, format: date-time
+ *
+ * @example
+ * import { loadContract, validateResponse } from '../helpers/contract/openApiValidator.js';
+ *
+ * const errors = validateResponse(loadContract(), {
+ *   method: 'POST', path: '/rate', status: 200, body: await response.json(),
+ * });
+ * expect(errors).toEqual([]);
+ */
+
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * Location of the rating API's OpenAPI document
+ * @type {string}
+ */
+export const RATING_API_CONTRACT_PATH = fileURLToPath(new URL('../../../shared/rating-api.openapi.json', import.meta.url));
+
+// Keywords that describe a schema without constraining values
+const ANNOTATIONS = new Set(['description', 'default', 'examples', 'title', 'deprecated']);
+
+// Keywords validateSchema enforces (SUPPORTED KEYWORDS above)
+const KEYWORDS = new Set([
+  '$ref', 'allOf', 'anyOf', 'oneOf', 'type', 'enum', 'const', 'required', 'properties',
+  'additionalProperties', 'items', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum',
+  'minLength', 'maxLength', 'pattern', 'format',
+]);
+
+const RFC3339_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i;
+
+const contracts = new Map();
+
+/**
+ * Read and parse an OpenAPI document (cached per path)
+ *
+ * @param {string} [path=RATING_API_CONTRACT_PATH] - JSON file
+ * @returns {Object} Parsed document
+ */
+export function loadContract(path = RATING_API_CONTRACT_PATH) {
+  if (!contracts.has(path)) {
+    contracts.set(path, JSON.parse(readFileSync(path, 'utf8')));
+  }
+  return contracts.get(path);
+}
+
+/**
+ * Resolve a local $ref ('#/components/schemas/RateResponse')
+ *
+ * @param {Object} root - Document the reference points into
+ * @param {string} ref - JSON pointer, local to root
+ * @returns {Object} Referenced object
+ */
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Only local $ref values are supported, got "${ref}"`);
+  }
+  const target = ref.slice(2).split('/').reduce(
+    (node, key) => node?.[key.replace(/~1/g, '/').replace(/~0/g, '~')],
+    root
+  );
+  if (target === undefined) {
+    throw new Error(`Unresolvable $ref "${ref}"`);
+  }
+  return target;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return (actual === 'number' || actual === 'integer') && Number.isFinite(value);
+  return actual === type;
+}
+
+/**
+ * Validate a value against a JSON Schema (the subset listed above)
+ *
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to check
+ * @param {Object} [options]
+ * @param {Object} [options.root=schema] - Document $ref pointers resolve against
+ * @param {string} [options.path='$'] - Location of value, used in messages
+ * @returns {string[]} Violations as '<path>: <problem>' (empty when valid)
+ * @throws {Error} When the schema uses an unsupported keyword or a bad $ref
+ *
+ * @example
+ * validateSchema({ type: 'object', required: ['premium'] }, {});
+ * // ['$: missing required property "premium"']
+ */
+export function validateSchema(schema, value, { root = schema, path = '$' } = {}) {
+  const errors = [];
+  const fail = (message) => errors.push(`${path}: ${message}`);
+  const nested = (subschema, subvalue, subpath = path) => validateSchema(subschema, subvalue, { root, path: subpath });
+
+  // Checked up front, so an early type mismatch can't skip past an unsupported keyword
+  const unsupported = Object.keys(schema).find((keyword) => !KEYWORDS.has(keyword) && !ANNOTATIONS.has(keyword));
+  if (unsupported) {
+    throw new Error(`Unsupported JSON Schema keyword "${unsupported}" at ${path}`);
+  }
+  if ('format' in schema && schema.format !== 'date-time') {
+    throw new Error(`Unsupported format "${schema.format}" at ${path}`);
+  }
+
+  for (const keyword of Object.keys(schema)) {
+    if (ANNOTATIONS.has(keyword)) continue;
+
+    switch (keyword) {
+      case '$ref':
+        errors.push(...nested(resolveRef(root, schema.$ref), value));
+        break;
+
+      case 'allOf':
+        schema.allOf.forEach((subschema) => errors.push(...nested(subschema, value)));
+        break;
+
+      case 'anyOf':
+        if (!schema.anyOf.some((subschema) => nested(subschema, value).length === 0)) {
+          fail('does not match any of the allowed schemas');
+        }
+        break;
+
+      case 'oneOf': {
+        const matches = schema.oneOf.filter((subschema) => nested(subschema, value).length === 0).length;
+        if (matches !== 1) fail(`matches ${matches} of the oneOf schemas (expected exactly 1)`);
+        break;
+      }
+
+      case 'type': {
+        const types = [].concat(schema.type);
+        if (!types.some((type) => matchesType(value, type))) {
+          fail(`expected ${types.join(' or ')}, got ${typeOf(value)}`);
+          return errors; // Other keywords would only repeat the type mismatch
+        }
+        break;
+      }
+
+      case 'enum':
+        if (!schema.enum.includes(value)) fail(`${JSON.stringify(value)} is not one of ${JSON.stringify(schema.enum)}`);
+        break;
+
+      case 'const':
+        if (value !== schema.const) fail(`expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`);
+        break;
+
+      case 'required':
+        if (typeOf(value) === 'object') {
+          schema.required
+            .filter((property) => !Object.hasOwn(value, property))
+            .forEach((property) => fail(`missing required property "${property}"`));
+        }
+        break;
+
+      case 'properties':
+        if (typeOf(value) === 'object') {
+          for (const [property, subschema] of Object.entries(schema.properties)) {
+            if (Object.hasOwn(value, property)) {
+              errors.push(...nested(subschema, value[property], `${path}.${property}`));
+            }
+          }
+        }
+        break;
+
+      case 'additionalProperties':
+        if (typeOf(value) === 'object') {
+          const known = new Set(Object.keys(schema.properties ?? {}));
+          for (const property of Object.keys(value).filter((key) => !known.has(key))) {
+            if (schema.additionalProperties === false) {
+              fail(`unexpected property "${property}"`);
+            } else if (typeof schema.additionalProperties === 'object') {
+              errors.push(...nested(schema.additionalProperties, value[property], `${path}.${property}`));
+            }
+          }
+        }
+        break;
+
+      case 'items':
+        if (Array.isArray(value)) {
+          value.forEach((item, index) => errors.push(...nested(schema.items, item, `${path}[${index}]`)));
+        }
+        break;
+
+      case 'minimum':
+        if (typeof value === 'number' && value < schema.minimum) fail(`${value} is less than ${schema.minimum}`);
+        break;
+
+      case 'maximum':
+        if (typeof value === 'number' && value > schema.maximum) fail(`${value} is greater than ${schema.maximum}`);
+        break;
+
+      case 'exclusiveMinimum':
+        if (typeof value === 'number' && value <= schema.exclusiveMinimum) fail(`${value} is not greater than ${schema.exclusiveMinimum}`);
+        break;
+
+      case 'exclusiveMaximum':
+        if (typeof value === 'number' && value >= schema.exclusiveMaximum) fail(`${value} is not less than ${schema.exclusiveMaximum}`);
+        break;
+
+      case 'minLength':
+        if (typeof value === 'string' && [...value].length < schema.minLength) fail(`shorter than ${schema.minLength} characters`);
+        break;
+
+      case 'maxLength':
+        if (typeof value === 'string' && [...value].length > schema.maxLength) fail(`longer than ${schema.maxLength} characters`);
+        break;
+
+      case 'pattern':
+        if (typeof value === 'string' && !new RegExp(schema.pattern, 'u').test(value)) {
+          fail(`${JSON.stringify(value)} does not match /${schema.pattern}/`);
+        }
+        break;
+
+      case 'format':
+        if (typeof value === 'string' && !(RFC3339_DATE_TIME.test(value) && !Number.isNaN(Date.parse(value)))) {
+          fail(`${JSON.stringify(value)} is not an RFC 3339 date-time`);
+        }
+        break;
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Find the documented path a concrete request path belongs to
+ *
+ * @param {Object} contract - OpenAPI document
+ * @param {string} path - Request path relative to the server URL (e.g., '/quotes/Q-1-AB')
+ * @returns {{ template: string, item: Object }|null} Path template and its path item, or null if undocumented
+ *
+ * @example
+ * findPath(loadContract(), '/quotes/Q-1-AB').template; // '/quotes/{quoteId}'
+ */
+export function findPath(contract, path) {
+  for (const [template, item] of Object.entries(contract.paths)) {
+    const pattern = new RegExp(`^${template.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{[^}]+\}/g, '[^/]+')}$`);
+    if (pattern.test(path)) {
+      return { template, item };
+    }
+  }
+  return null;
+}
+
+/**
+ * Pick the response object documented for a status: exact code, then 4XX/5XX, then default
+ *
+ * @param {Object} responses - Operation responses
+ * @param {number} status - HTTP status
+ * @returns {Object|undefined} Response object (may be a $ref)
+ */
+function documentedResponse(responses, status) {
+  return responses[String(status)] ?? responses[`${String(status)[0]}XX`] ?? responses.default;
+}
+
+/**
+ * Validate a response against the operation it answers
+ * A method the path does not document must be answered with the 405
+ * response the path's other operations declare.
+ *
+ * @param {Object} contract - OpenAPI document
+ * @param {Object} exchange
+ * @param {string} exchange.method - HTTP method (any case)
+ * @param {string} exchange.path - Request path relative to the server URL, without query
+ * @param {number} exchange.status - HTTP status received
+ * @param {*} [exchange.body] - Parsed JSON body (undefined when there is none)
+ * @returns {string[]} Violations, prefixed with the operation (empty when valid)
+ *
+ * @example
+ * validateResponse(loadContract(), { method: 'GET', path: '/quotes/nope', status: 404, body: { error: 'Quote not found' } });
+ * // []
+ */
+export function validateResponse(contract, { method, path, status, body }) {
+  const verb = method.toLowerCase();
+  const found = findPath(contract, path);
+  if (!found) {
+    return [`${method.toUpperCase()} ${path}: path is not documented`];
+  }
+
+  const label = `${method.toUpperCase()} ${found.template} → ${status}`;
+  let responses = found.item[verb]?.responses;
+  if (!responses) {
+    const fallback = Object.values(found.item).find((operation) => operation?.responses?.['405']);
+    if (status !== 405 || !fallback) {
+      return [`${label}: method is not documented (expected 405)`];
+    }
+    responses = { 405: fallback.responses['405'] };
+  }
+
+  let response = documentedResponse(responses, status);
+  if (!response) {
+    return [`${label}: status is not documented (documented: ${Object.keys(responses).join(', ')})`];
+  }
+  if (response.$ref) {
+    response = resolveRef(contract, response.$ref);
+  }
+
+  const schema = response.content?.['application/json']?.schema;
+  if (!schema) {
+    return body === undefined ? [] : [`${label}: a body is returned but none is documented`];
+  }
+  if (body === undefined) {
+    return [`${label}: expected a JSON body`];
+  }
+  return validateSchema(schema, body, { root: contract }).map((error) => `${label}: ${error}`);
+}
+
+/**
+ * Validate a request body against the operation's documented requestBody
+ *
+ * @param {Object} contract - OpenAPI document
+ * @param {Object} request
+ * @param {string} request.method - HTTP method
+ * @param {string} request.path - Request path relative to the server URL
+ * @param {*} request.body - Parsed JSON body
+ * @returns {string[]} Violations (empty when the body is a documented, valid request)
+ *
+ * @example
+ * validateRequestBody(loadContract(), { method: 'POST', path: '/rate', body: { state: 'WI' } });
+ * // ['POST /rate: $: missing required property "revenue"', ...]
+ */
+export function validateRequestBody(contract, { method, path, body }) {
+  const label = `${method.toUpperCase()} ${path}`;
+  const operation = findPath(contract, path)?.item[method.toLowerCase()];
+  const schema = operation?.requestBody?.content?.['application/json']?.schema;
+  if (!schema) {
+    return [`${label}: no JSON request body is documented`];
+  }
+  return validateSchema(schema, body, { root: contract }).map((error) => `${label}: ${error}`);
+}
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Test Environment - Where the suite finds the frontend and the rating API
+ * 
+ * Both specs read their targets from here so the UI and API tests always
+ * agree on which backend they exercise.
+ * 
+ * ENVIRONMENT VARIABLES:
+ * - API_BASE_URL: Rating endpoint (default: fake backend at http://localhost:4000/rate);
+ *   saved quotes are looked up next to it at quotes/{quoteId}. Tests tagged @fake-backend
+ *   skip against any other endpoint (see IS_FAKE_BACKEND)
+ * - LOCALE: UI locale for the page and the label registry (default: 'en');
+ *   narrows the per-locale ui-<locale> projects to that one locale (default: all registered)
+ * - TIME_ZONE: Time zone the page renders timestamps in (default: 'UTC', as the page's quote-time-zone meta tag)
+ * - FRONTEND_URL: Quote page (default: served by the fake backend at http://localhost:4000/index.html)
+ * - INPUT_MODE: How happy-path flows drive the form - 'pointer' or 'keyboard' (default: 'pointer')
+ * 
+ * The quote page imports ES modules (shared/productRules.js), so it must be
+ * served over HTTP - browsers block module scripts on file:// URLs.
+ * 
+ * @example
+ * import { API_BASE_URL, quotePageUrl } from '../helpers/env.js';
+ * 
+ * await page.goto(quotePageUrl());              // page talks to API_BASE_URL
+ * await request.post(API_BASE_URL, { data });   // API test hits the same endpoint
+ */
+
+import { getSupportedLocales } from '../labels/index.js';
+
+/**
+ * Rate endpoint of the fake rating API started by Playwright's webServer
+ * @type {string}
+ */
+export const FAKE_API_BASE_URL = 'http://localhost:4000/rate';
+
+/**
+ * Rating API endpoint under test
+ * Defaults to the fake rating API started by Playwright's webServer
+ * @type {string}
+ */
+export const API_BASE_URL = process.env.API_BASE_URL || FAKE_API_BASE_URL;
+
+/**
+ * Whether the API under test is the fake backend
+ * The live API does not serve everything the fake backend does yet, so tests of
+ * fake-only behaviour are tagged @fake-backend and skip when this is false.
+ * @type {boolean}
+ * 
+ * @example
+ * test.describe('API Quote Lookup', { tag: '@fake-backend' }, () => {
+ *   test.skip(!IS_FAKE_BACKEND, 'Quote lookup is only served by the fake backend');
+ * });
+ */
+export const IS_FAKE_BACKEND = API_BASE_URL === FAKE_API_BASE_URL;
+
+/**
+ * Build the URL a saved quote is looked up at
+ * The lookup lives next to the rate endpoint: .../rate → .../quotes/{quoteId}
+ * 
+ * @param {string} quoteId - Quote ID returned by the rate endpoint
+ * @returns {string} Absolute lookup URL
+ * 
+ * @example
+ * await request.get(quoteLookupUrl('Q-1730822400000-K3J9X2'));
+ * // GET http://localhost:4000/quotes/Q-1730822400000-K3J9X2
+ */
+export function quoteLookupUrl(quoteId) {
+  return new URL(`quotes/${encodeURIComponent(quoteId)}`, API_BASE_URL).href;
+}
+
+/**
+ * Locale the quote page is rendered in and the label registry is read for
+ * @type {string}
+ */
+export const LOCALE = process.env.LOCALE || 'en';
+
+/**
+ * Locales the UI suites run in, one ui-<locale> Playwright project each
+ * LOCALE picks a single one; otherwise every locale in the label registry
+ * @type {string[]}
+ */
+export const UI_LOCALES = process.env.LOCALE ? [LOCALE] : getSupportedLocales();
+
+const pageLocales = new WeakMap();
+
+/**
+ * Record the locale a page is tested in
+ * Done by the `page` fixture of tests/helpers/fixtures/locale.js, from the project's `locale`.
+ * 
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {string} locale - Locale tag
+ */
+export function setPageLocale(page, locale) {
+  pageLocales.set(page, locale);
+}
+
+/**
+ * Locale a page is tested in - what flow helpers use when not given one
+ * 
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @returns {string} The page's locale, or LOCALE for pages the fixture didn't create
+ * 
+ * @example
+ * getLabels(pageLocale(page)).submit_quote; // 'Enviar cotización' in the ui-es project
+ */
+export function pageLocale(page) {
+  return pageLocales.get(page) ?? LOCALE;
+}
+
+/**
+ * Time zone the quote page formats timestamps in
+ * Pinned (not the host's zone) so rendered timestamps are the same on every machine
+ * @type {string}
+ */
+export const TIME_ZONE = process.env.TIME_ZONE || 'UTC';
+
+/**
+ * How happy-path integration tests drive the quote form: 'pointer' or 'keyboard'
+ * Passed to getQuote as its `input` option
+ * @type {string}
+ */
+export const INPUT_MODE = process.env.INPUT_MODE || 'pointer';
+
+/**
+ * Quote page under test
+ * @type {string}
+ */
+export const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:4000/index.html';
+
+/**
+ * Build the quote page URL wired to API_BASE_URL and rendered in LOCALE and TIME_ZONE
+ * The page resolves its rating endpoint from the `api` query parameter,
+ * its language from `lang` and its time zone from `tz`.
+ * Tests open it with openQuotePage(page), which sets `lang` to the page's locale.
+ * 
+ * @param {Object<string, string>} [params={}] - Extra query parameters for the page
+ * @returns {string} Absolute page URL
+ * 
+ * @example
+ * await page.goto(quotePageUrl());
+ * // http://localhost:4000/index.html?api=http%3A%2F%2Flocalhost%3A4000%2Frate&lang=en&tz=UTC
+ */
+export function quotePageUrl(params = {}) {
+  const url = new URL(FRONTEND_URL);
+  url.searchParams.set('api', API_BASE_URL);
+  url.searchParams.set('lang', LOCALE);
+  url.searchParams.set('tz', TIME_ZONE);
+  
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value);
+  }
+  
+  return url.href;
+}
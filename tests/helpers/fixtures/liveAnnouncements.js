@@ -0,0 +1,251 @@
+/**
+ * @fileoverview Live Announcements Fixture - What a screen reader would announce
+ *
+ * Records every change a screen reader would speak during a flow: new text in
+ * an `aria-live` region or in a `role="alert"` / `"status"` / `"log"` element,
+ * in order and with its politeness. Announcements are named by label registry
+ * keys, so a test states the sequence the way a user hears it:
+ * loading → quote_result, or error_message (assertive).
+ *
+ * WHAT COUNTS AS AN ANNOUNCEMENT:
+ * - The region's rendered text changed to something non-empty
+ *   (text that is display:none is not read, so a region that becomes visible is announced)
+ * - Text present when the page loads is not announced, like in a screen reader
+ * - Regions with aria-live="off" or inside aria-hidden="true" are never announced
+ *
+ * Extends the `test` of ratingApiMock.js, so `mockRatingApi` and the locale
+ * fixtures are available too.
+ * The log belongs to the document: navigating starts an empty one.
+ *
+ * @example
+ * import { test, expect } from '../helpers/fixtures/liveAnnouncements.js';
+ *
+ * test('quote is announced after loading', async ({ page, announcements }) => {
+ *   await openQuotePage(page);
+ *   await getQuote(page, { state: 'WI', business: 'retail', revenue: '50000', coverage: 'none' });
+ *   await expect(announcements).toHaveAnnounced(['loading', 'quote_result']);
+ * });
+ */
+
+import { expect as baseExpect } from '@playwright/test';
+import { test as base } from './ratingApiMock.js';
+import { findLabelKey } from '../../labels/index.js';
+import { pageLocale } from '../env.js';
+
+// Installed into the page as source: it must not reference anything outside itself
+function installAnnouncementRecorder() {
+  if (window.__liveAnnouncements) return;
+  const log = (window.__liveAnnouncements = []);
+  const LIVE_REGIONS = '[aria-live], [role="alert"], [role="status"], [role="log"]';
+  const lastText = new Map();
+
+  const politenessOf = (region) =>
+    region.getAttribute('aria-live') || (region.getAttribute('role') === 'alert' ? 'assertive' : 'polite');
+
+  // Only rendered text is read; innerText of a display:none element would return it anyway
+  const spokenText = (region) =>
+    region.getClientRects().length === 0 || region.closest('[aria-hidden="true"]')
+      ? ''
+      : region.innerText.replace(/\s+/g, ' ').trim();
+
+  const scan = (announce) => {
+    for (const region of document.querySelectorAll(LIVE_REGIONS)) {
+      const politeness = politenessOf(region);
+      const text = politeness === 'off' ? '' : spokenText(region);
+      const before = lastText.get(region) ?? '';
+      lastText.set(region, text);
+      if (announce && text !== '' && text !== before) {
+        log.push({ name: region.getAttribute('aria-label'), id: region.id || null, politeness, text });
+      }
+    }
+  };
+
+  const start = () => {
+    scan(false);
+    new MutationObserver(() => scan(true)).observe(document.documentElement, {
+      subtree: true,
+      childList: true,
+      characterData: true,
+      attributes: true,
+      attributeFilter: ['class', 'hidden', 'style', 'aria-hidden', 'aria-live'],
+    });
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', start, { once: true });
+  } else {
+    start();
+  }
+}
+
+// Label key of a live region; regions outside the registry are named by id
+function regionKey(name, id, locale) {
+  const key = name ? findLabelKey(name, locale) : null;
+  if (key) return key;
+  if (id) return `#${id}`;
+  return name ? `(unregistered) ${name}` : '(unnamed region)';
+}
+
+/**
+ * Start recording live-region announcements on a page
+ * Call before page.goto; on an already loaded page, recording starts now.
+ *
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {string} [locale=pageLocale(page)] - Locale the page's accessible names are in
+ * @returns {Promise<{
+ *   announcements: function(): Promise<Array<{ key: string, politeness: string, text: string }>>,
+ *   clear: function(): Promise<void>
+ * }>} Recorder; `key` is the region's label key (or `#id` for unregistered regions)
+ *
+ * @example
+ * const recorder = await recordAnnouncements(page, 'es');
+ * await openQuotePage(page);
+ * // ... submit a quote
+ * (await recorder.announcements()).map((a) => a.key); // ['loading', 'quote_result']
+ */
+export async function recordAnnouncements(page, locale = pageLocale(page)) {
+  await page.addInitScript(installAnnouncementRecorder);
+  if (page.url() !== 'about:blank') {
+    await page.evaluate(installAnnouncementRecorder);
+  }
+
+  return {
+    async announcements() {
+      const log = await page.evaluate(() => window.__liveAnnouncements ?? []);
+      return log.map(({ name, id, politeness, text }) => ({ key: regionKey(name, id, locale), politeness, text }));
+    },
+
+    async clear() {
+      await page.evaluate(() => window.__liveAnnouncements?.splice(0));
+    },
+  };
+}
+
+/**
+ * Does an announcement match an expected entry?
+ * An entry is a label key, or { key, politeness?, text? } where text is a
+ * string (contained) or a RegExp.
+ *
+ * @param {{ key: string, politeness: string, text: string }} announcement
+ * @param {string|{ key: string, politeness?: string, text?: string|RegExp }} expected
+ * @returns {boolean}
+ */
+export function matchesAnnouncement(announcement, expected) {
+  const { key, politeness, text } = typeof expected === 'string' ? { key: expected } : expected;
+  if (announcement.key !== key) return false;
+  if (politeness !== undefined && announcement.politeness !== politeness) return false;
+  if (text instanceof RegExp) return text.test(announcement.text);
+  return text === undefined || announcement.text.includes(text);
+}
+
+/**
+ * Format announcements one per line, as the matchers print them
+ *
+ * @param {Array<{ key: string, politeness: string, text: string }>} announcements
+ * @returns {string} e.g. '1. loading (polite): "Calculating your quote…"'
+ */
+export function formatAnnouncements(announcements) {
+  if (announcements.length === 0) return '(nothing announced)';
+  return announcements
+    .map(({ key, politeness, text }, i) => `${i + 1}. ${key} (${politeness}): ${JSON.stringify(text)}`)
+    .join('\n');
+}
+
+const describeExpected = (entry) => {
+  if (typeof entry === 'string') return entry;
+  const details = [entry.politeness, entry.text !== undefined && String(entry.text)].filter(Boolean);
+  return details.length ? `${entry.key} (${details.join(', ')})` : entry.key;
+};
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Poll like Playwright's web-first assertions until the check agrees with .not, or time runs out
+async function pollAnnouncements(recorder, check, isNot, timeout) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const announced = await recorder.announcements();
+    const pass = check(announced);
+    if (pass !== isNot || Date.now() >= deadline) {
+      return { announced, pass };
+    }
+    await delay(100);
+  }
+}
+
+/**
+ * Playwright `expect` with announcement matchers; the received value is the
+ * `announcements` fixture (or a recordAnnouncements recorder). Both retry
+ * until `timeout` (default: the expect timeout).
+ *
+ * - toHaveAnnounced(entries) - exactly these announcements, in this order
+ * - toHaveAnnouncedInOrder(entries) - these announcements in this order, others may come between
+ */
+export const expect = baseExpect.extend({
+  async toHaveAnnounced(recorder, entries, { timeout = this.timeout } = {}) {
+    const { announced, pass } = await pollAnnouncements(
+      recorder,
+      (actual) => actual.length === entries.length && entries.every((entry, i) => matchesAnnouncement(actual[i], entry)),
+      this.isNot,
+      timeout,
+    );
+
+    return {
+      pass,
+      name: 'toHaveAnnounced',
+      expected: entries,
+      actual: announced,
+      message: () => [
+        this.utils.matcherHint('toHaveAnnounced', 'announcements', 'entries', { isNot: this.isNot }),
+        '',
+        `Expected ${this.isNot ? 'not ' : ''}to announce exactly: ${entries.map(describeExpected).join(' → ') || '(nothing)'}`,
+        'Announced:',
+        formatAnnouncements(announced),
+      ].join('\n'),
+    };
+  },
+
+  async toHaveAnnouncedInOrder(recorder, entries, { timeout = this.timeout } = {}) {
+    // Each entry must match an announcement after the one the previous entry matched
+    const inOrder = (actual) => {
+      let from = 0;
+      for (const entry of entries) {
+        const at = actual.findIndex((announcement, i) => i >= from && matchesAnnouncement(announcement, entry));
+        if (at < 0) return false;
+        from = at + 1;
+      }
+      return true;
+    };
+    const { announced, pass } = await pollAnnouncements(recorder, inOrder, this.isNot, timeout);
+
+    return {
+      pass,
+      name: 'toHaveAnnouncedInOrder',
+      expected: entries,
+      actual: announced,
+      message: () => [
+        this.utils.matcherHint('toHaveAnnouncedInOrder', 'announcements', 'entries', { isNot: this.isNot }),
+        '',
+        `Expected ${this.isNot ? 'not ' : ''}to announce in order: ${entries.map(describeExpected).join(' → ')}`,
+        'Announced:',
+        formatAnnouncements(announced),
+      ].join('\n'),
+    };
+  },
+});
+
+/**
+ * Playwright `test` with the `announcements` fixture (plus `mockRatingApi`)
+ * Recording starts before the test's first navigation; the log is attached
+ * to the report when a test fails.
+ */
+export const test = base.extend({
+  announcements: async ({ page }, use, testInfo) => {
+    const recorder = await recordAnnouncements(page);
+    await use(recorder);
+
+    if (testInfo.status !== testInfo.expectedStatus) {
+      const announced = await recorder.announcements().catch(() => []);
+      await testInfo.attach('announcements.txt', { body: formatAnnouncements(announced), contentType: 'text/plain' });
+    }
+  },
+});
@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Locale Fixture - The project's locale, for tests and flow helpers alike
+ *
+ * playwright.config.js generates one project per registered locale (ui-en,
+ * ui-es, ui-es-MX) that sets Playwright's own `locale` option, so the browser
+ * and the label registry always agree. This `test` turns that option into:
+ *
+ * - `labels` / `text`: getLabels(locale) / getText(locale) for assertions
+ * - `page`: the usual page, tagged with its locale - flow helpers (quoteFlows.js,
+ *   keyboardFlows.js) and openQuotePage read it, so no call passes `locale`
+ *
+ * Every other fixture module (ratingApiMock.js, liveAnnouncements.js) builds on
+ * this one. `test.use({ locale: 'es' })` switches a describe block to another locale.
+ *
+ * @example
+ * import { test, expect } from '../helpers/fixtures/locale.js';
+ *
+ * test('submit starts disabled', async ({ page, labels: L }) => {
+ *   await openQuotePage(page);                      // ?lang=<project locale>
+ *   await getQuote(page, { state: 'WI', business: 'retail', revenue: '50000', coverage: 'none' });
+ *   await expect(page.getByLabel(L.quote_result)).toBeVisible();
+ * });
+ */
+
+import { test as base } from '@playwright/test';
+import { getLabels, getText } from '../../labels/index.js';
+import { setPageLocale } from '../env.js';
+
+/**
+ * Playwright `test` with the project's locale applied to `page`, `labels` and `text`
+ */
+export const test = base.extend({
+  page: async ({ page, locale }, use) => {
+    setPageLocale(page, locale);
+    await use(page);
+  },
+
+  labels: async ({ locale }, use) => {
+    await use(getLabels(locale));
+  },
+
+  text: async ({ locale }, use) => {
+    await use(getText(locale));
+  },
+});
+
+export { expect } from '@playwright/test';
@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Rating API Contract Fixture - Every API response is checked against the OpenAPI document
+ *
+ * Overrides Playwright's built-in `request` fixture. Each response the test
+ * receives from the rating API is validated against
+ * shared/rating-api.openapi.json, and the test fails at teardown with the
+ * list of violations (also attached as contract-violations.json). Tests keep
+ * their own assertions; the contract check comes for free.
+ *
+ * Paths are taken relative to the directory of API_BASE_URL, so
+ * http://localhost:4000/rate and https://<live host>/rate both map to /rate.
+ * Responses from outside that root are not checked; an undocumented path
+ * inside it (e.g. /health) is a violation - API tests stick to the contract.
+ *
+ * The contract is enforced against the fake backend only. The live API predates
+ * currency, coverage, breakdown and quote lookup, so against any other
+ * API_BASE_URL the violations are attached but do not fail the test.
+ *
+ * @example
+ * import { test, expect } from '../helpers/fixtures/ratingApiContract.js';
+ *
+ * test('rates a quote', async ({ request }) => {
+ *   const response = await request.post(API_URL, { data });
+ *   expect(response.status()).toBe(200); // the body is also checked against RateResponse
+ * });
+ */
+
+import { test as base, expect } from '@playwright/test';
+import { API_BASE_URL, IS_FAKE_BACKEND } from '../env.js';
+import { loadContract, validateResponse } from '../contract/openApiValidator.js';
+
+const REQUEST_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'fetch'];
+
+/**
+ * Path of a URL relative to the API root, as the contract writes it
+ *
+ * @param {string} url - Absolute URL a response came from
+ * @param {string} [apiBaseUrl=API_BASE_URL] - Rate endpoint; its directory is the API root
+ * @returns {string|null} Path like '/quotes/Q-1-AB', or null outside the API root
+ *
+ * @example
+ * contractPath('http://localhost:4000/quotes/Q-1-AB?x=1', 'http://localhost:4000/rate'); // '/quotes/Q-1-AB'
+ */
+export function contractPath(url, apiBaseUrl = API_BASE_URL) {
+  const root = new URL('.', apiBaseUrl);
+  const { origin, pathname } = new URL(url);
+  if (origin !== root.origin || !pathname.startsWith(root.pathname)) {
+    return null;
+  }
+  return `/${pathname.slice(root.pathname.length)}`;
+}
+
+/**
+ * Validate one API response against the contract
+ *
+ * @param {import('@playwright/test').APIResponse} response - Response to check
+ * @param {string} method - HTTP method the request was sent with
+ * @param {Object} [options]
+ * @param {Object} [options.contract=loadContract()] - OpenAPI document
+ * @param {string} [options.apiBaseUrl=API_BASE_URL] - Rate endpoint of the API under test
+ * @returns {Promise<string[]>} Violations (empty when the response conforms or is outside the API)
+ */
+export async function checkResponse(response, method, { contract = loadContract(), apiBaseUrl = API_BASE_URL } = {}) {
+  const path = contractPath(response.url(), apiBaseUrl);
+  if (path === null) {
+    return [];
+  }
+
+  let body;
+  const text = method.toUpperCase() === 'HEAD' ? '' : await response.text();
+  if (text !== '') {
+    try {
+      body = JSON.parse(text);
+    } catch {
+      return [`${method.toUpperCase()} ${path} → ${response.status()}: body is not JSON`];
+    }
+  }
+
+  return validateResponse(contract, { method, path, status: response.status(), body });
+}
+
+/**
+ * Playwright `test` whose `request` fixture validates every rating API response
+ */
+export const test = base.extend({
+  request: async ({ request }, use, testInfo) => {
+    const violations = [];
+
+    const checked = new Proxy(request, {
+      get(target, property) {
+        const value = Reflect.get(target, property);
+        if (!REQUEST_METHODS.includes(property)) {
+          return typeof value === 'function' ? value.bind(target) : value;
+        }
+        return async (urlOrRequest, options = {}) => {
+          const response = await value.call(target, urlOrRequest, options);
+          const method = property === 'fetch'
+            ? options.method ?? (typeof urlOrRequest === 'string' ? 'GET' : urlOrRequest.method())
+            : property;
+          violations.push(...await checkResponse(response, method));
+          return response;
+        };
+      },
+    });
+
+    await use(checked);
+
+    if (violations.length > 0) {
+      await testInfo.attach('contract-violations.json', {
+        body: JSON.stringify(violations, null, 2),
+        contentType: 'application/json',
+      });
+    }
+    if (IS_FAKE_BACKEND) {
+      expect(violations, 'Responses that break shared/rating-api.openapi.json').toEqual([]);
+    }
+  },
+});
+
+export { expect };
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Rating API Mock Fixture - Named network scenarios for the quote page
+ * 
+ * Extends the locale fixture's `test` (./locale.js) with a `mockRatingApi` fixture
+ * built on `page.route`. It lets integration tests drive the page's error and loading paths without a
+ * backend that misbehaves on demand.
+ * 
+ * SCENARIOS:
+ * - success           200 with a given premium (and optional currency / calculatedAt)
+ * - slow              200 after a delay (exercise the loading indicator)
+ * - badRequest        400 with a given `error` (and optional human-readable `message`)
+ * - serverError       500 (or another 5xx via `status`)
+ * - flaky             5xx for the first `failures` requests, then 200 (exercise retries)
+ * - malformedJson     200 with a body that is not valid JSON
+ * - timeout           request hangs, then fails as timed out
+ * - connectionRefused request fails immediately
+ * 
+ * Every body follows shared/rating-api.openapi.json, like the real API's:
+ * errors are { error, message? } and `error` is one of the documented reasons.
+ * 
+ * @example
+ * import { test, expect } from '../helpers/fixtures/ratingApiMock.js';
+ * 
+ * test('shows server message', async ({ page, mockRatingApi }) => {
+ *   await mockRatingApi('badRequest', { error: 'Invalid revenue' });
+ *   await openQuotePage(page);
+ *   // ... fill and submit, then assert getErrorMessage(page)
+ * });
+ */
+
+import { test as base } from './locale.js';
+import { API_BASE_URL } from '../env.js';
+
+// Mocked responses must pass CORS checks when FRONTEND_URL is on another origin
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function successBody({ premium, currency = 'USD', calculatedAt }) {
+  const now = Date.now();
+  return {
+    premium,
+    currency,
+    quoteId: `Q-${now}-MOCK01`,
+    calculatedAt: calculatedAt ?? new Date(now).toISOString(),
+  };
+}
+
+function errorBody(error, message) {
+  return message === undefined ? { error } : { error, message };
+}
+
+/**
+ * Route handler factories, keyed by scenario name
+ * Each factory takes scenario options and returns a `page.route` handler.
+ * @type {Object<string, function(Object): function(import('@playwright/test').Route): Promise<void>>}
+ */
+export const SCENARIOS = {
+  success: ({ premium = 1150, currency, calculatedAt } = {}) => async (route) => {
+    await route.fulfill({ status: 200, headers: CORS_HEADERS, json: successBody({ premium, currency, calculatedAt }) });
+  },
+
+  slow: ({ premium = 1150, delayMs = 1500 } = {}) => async (route) => {
+    await delay(delayMs);
+    await route.fulfill({ status: 200, headers: CORS_HEADERS, json: successBody({ premium }) });
+  },
+
+  badRequest: ({ error = 'Invalid revenue', message } = {}) => async (route) => {
+    await route.fulfill({ status: 400, headers: CORS_HEADERS, json: errorBody(error, message) });
+  },
+
+  serverError: ({ error = 'Internal server error', message, status = 500 } = {}) => async (route) => {
+    await route.fulfill({ status, headers: CORS_HEADERS, json: errorBody(error, message) });
+  },
+
+  flaky: ({ failures = 1, status = 503, premium = 1150 } = {}) => {
+    let failed = 0;
+    return async (route) => {
+      if (failed < failures) {
+        failed += 1;
+        await route.fulfill({ status, headers: CORS_HEADERS, json: { error: 'Service unavailable' } });
+        return;
+      }
+      await route.fulfill({ status: 200, headers: CORS_HEADERS, json: successBody({ premium }) });
+    };
+  },
+
+  malformedJson: () => async (route) => {
+    await route.fulfill({
+      status: 200,
+      headers: CORS_HEADERS,
+      contentType: 'application/json',
+      body: '{"premium": 1150, "quoteId": ',
+    });
+  },
+
+  timeout: ({ afterMs = 30000 } = {}) => async (route) => {
+    await delay(afterMs);
+    // The test (and its page) may already be gone - nothing left to abort
+    await route.abort('timedout').catch(() => {});
+  },
+
+  connectionRefused: () => async (route) => {
+    await route.abort('connectionrefused');
+  },
+};
+
+/**
+ * Playwright `test` with the `mockRatingApi(scenario, options)` fixture
+ * Call it before `page.goto`, or any time before submitting; the latest call wins.
+ */
+export const test = base.extend({
+  mockRatingApi: async ({ page }, use) => {
+    await use(async (scenario, options = {}) => {
+      const factory = SCENARIOS[scenario];
+      if (!factory) {
+        throw new Error(
+          `Unknown rating API scenario "${scenario}". Known scenarios: ${Object.keys(SCENARIOS).join(', ')}`
+        );
+      }
+      
+      const handler = factory(options);
+      await page.unroute(API_BASE_URL);
+      await page.route(API_BASE_URL, async (route) => {
+        // Answer CORS preflight ourselves so only the real request hits the scenario
+        if (route.request().method() === 'OPTIONS') {
+          await route.fulfill({ status: 204, headers: CORS_HEADERS });
+          return;
+        }
+        await handler(route);
+      });
+    });
+  },
+});
+
+export { expect } from '@playwright/test';
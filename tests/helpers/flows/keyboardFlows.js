@@ -0,0 +1,207 @@
+/**
+ * @fileoverview Keyboard Flow Helpers - The quote flows driven by keys alone
+ *
+ * Mirrors fillQuoteForm / submitQuote from quoteFlows.js, but every step is a
+ * key press: Tab and Shift+Tab to move, arrow keys to pick an option or a
+ * coverage tier, typing into the revenue field and Enter or Space to submit.
+ * A flow that passes here is one a keyboard-only user can complete.
+ *
+ * PHILOSOPHY:
+ * - Flows move focus only the way a user does - no .focus(), .click() or .fill()
+ *   (expectFocusOrder places focus on its starting element, then only presses Tab)
+ * - Targets are label registry names in the page's locale, like every other flow
+ * - getQuote(page, { ..., input: 'keyboard' }) returns the same result as the pointer flow
+ *
+ * @example
+ * import { getQuote } from '../helpers/flows/quoteFlows.js';
+ * import { expectFocusOrder } from '../helpers/flows/keyboardFlows.js';
+ *
+ * const result = await getQuote(page, { state: 'WI', business: 'retail', revenue: '50000', coverage: 'gold', input: 'keyboard' });
+ * await expectFocusOrder(page, ['customer_state', 'coverage_gold', 'business_type', 'annual_revenue']);
+ */
+
+import { expect } from '@playwright/test';
+import { getLabels, findLabelKey } from '../../labels/index.js';
+import { pageLocale } from '../env.js';
+
+/**
+ * Most Tab presses spent looking for one element before giving up
+ * @type {number}
+ */
+export const MAX_TAB_PRESSES = 50;
+
+// Accessible name of the focused element (null when nothing is focused)
+async function focusedName(page) {
+  return page.evaluate(() => {
+    const active = document.activeElement;
+    if (!active || active === document.body) return null;
+    return active.getAttribute('aria-label') ?? active.textContent.replace(/\s+/g, ' ').trim();
+  });
+}
+
+/**
+ * Move focus with Tab / Shift+Tab until the element with the given name has it
+ * The direction follows document order, so the flow works wherever focus
+ * currently is (e.g. still on the submit button of a previous quote).
+ *
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {string} name - Accessible name to reach (a label registry value)
+ * @returns {Promise<void>}
+ * @throws {Error} When the element isn't on the page or can't be reached by keyboard
+ *
+ * @example
+ * await tabTo(page, L.annual_revenue);
+ */
+export async function tabTo(page, name) {
+  for (let presses = 0; presses <= MAX_TAB_PRESSES; presses++) {
+    const position = await page.evaluate((target) => {
+      const active = document.activeElement;
+      const element = [...document.querySelectorAll('[aria-label]')].find((el) => el.getAttribute('aria-label') === target);
+      if (!element) return 'missing';
+      if (element === active) return 'here';
+      if (!active || active === document.body) return 'after';
+      return active.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING ? 'after' : 'before';
+    }, name);
+
+    if (position === 'here') return;
+    if (position === 'missing') {
+      throw new Error(`No element named "${name}" to move focus to`);
+    }
+    await page.keyboard.press(position === 'after' ? 'Tab' : 'Shift+Tab');
+  }
+  throw new Error(`"${name}" is not reachable with Tab (focus stuck on "${await focusedName(page)}" after ${MAX_TAB_PRESSES} presses)`);
+}
+
+// Press an arrow key until `steps` moves are made (negative steps go up)
+async function arrow(page, steps) {
+  for (let i = 0; i < Math.abs(steps); i++) {
+    await page.keyboard.press(steps > 0 ? 'ArrowDown' : 'ArrowUp');
+  }
+}
+
+async function selectByKeyboard(page, name, value) {
+  await tabTo(page, name);
+  const select = page.getByLabel(name, { exact: true });
+  const { current, target } = await select.evaluate((el, wanted) => ({
+    current: el.selectedIndex,
+    target: [...el.options].findIndex((option) => option.value === wanted),
+  }), value);
+  if (target < 0) {
+    throw new Error(`"${name}" has no option "${value}"`);
+  }
+
+  // A closed <select> changes its value on ArrowUp/ArrowDown, firing input and change
+  await arrow(page, target - current);
+  if (await select.inputValue() !== value) {
+    throw new Error(`Arrow keys left "${name}" on "${await select.inputValue()}" instead of "${value}"`);
+  }
+}
+
+async function chooseCoverageByKeyboard(page, coverage, L) {
+  const group = page.getByRole('radiogroup', { name: L.coverage_options });
+  const tiers = await group.getByRole('radio').evaluateAll((radios) => radios.map((radio) => radio.getAttribute('aria-label')));
+  const wanted = L[`coverage_${coverage}`];
+  if (!tiers.includes(wanted)) {
+    throw new Error(`Coverage "${coverage}" is not offered here (shown: ${tiers.join(', ') || 'no coverage options'})`);
+  }
+
+  // Tab enters a radio group on its checked radio (the first one while none is
+  // checked, which Space then checks); arrows move the selection within it
+  const checked = await group.getByRole('radio', { checked: true }).count() > 0
+    ? await group.getByRole('radio', { checked: true }).getAttribute('aria-label')
+    : null;
+  await tabTo(page, checked ?? tiers[0]);
+  if (checked === null) {
+    await page.keyboard.press('Space');
+  }
+  await arrow(page, tiers.indexOf(wanted) - tiers.indexOf(checked ?? tiers[0]));
+}
+
+/**
+ * Fill out the quote form with the keyboard only
+ * Same options as fillQuoteForm: state and business are picked with arrow
+ * keys, coverage with arrow keys inside the radio group, revenue is typed.
+ *
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {Object} options - Form values
+ * @param {string} options.state - State code (e.g., 'WI', 'TX')
+ * @param {string} options.business - Business type
+ * @param {string} options.revenue - Annual revenue as string (e.g., '50000')
+ * @param {string} [options.coverage] - Coverage level - optional for V1 states
+ * @param {string} [options.locale=pageLocale(page)] - Locale for labels
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await fillQuoteFormByKeyboard(page, { state: 'OH', business: 'restaurant', revenue: '100000', coverage: 'silver' });
+ */
+export async function fillQuoteFormByKeyboard(page, options) {
+  const { state, business, revenue, coverage, locale = pageLocale(page) } = options;
+  const L = getLabels(locale);
+
+  await selectByKeyboard(page, L.customer_state, state);
+  if (coverage) {
+    await chooseCoverageByKeyboard(page, coverage, L);
+  }
+  await selectByKeyboard(page, L.business_type, business);
+
+  await tabTo(page, L.annual_revenue);
+  await page.keyboard.press('ControlOrMeta+A');
+  if (revenue === '') {
+    await page.keyboard.press('Delete');
+  } else {
+    await page.keyboard.type(revenue);
+  }
+}
+
+/**
+ * Submit the quote form from the keyboard
+ *
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {string} [locale=pageLocale(page)] - Locale for labels
+ * @param {Object} [options]
+ * @param {'Enter'|'Space'} [options.key='Enter'] - Key that activates the submit button
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await submitQuoteByKeyboard(page, locale, { key: 'Space' });
+ */
+export async function submitQuoteByKeyboard(page, locale = pageLocale(page), { key = 'Enter' } = {}) {
+  const L = getLabels(locale);
+  await tabTo(page, L.submit_quote);
+  await page.keyboard.press(key);
+}
+
+// Label key a focused element's name comes from
+function labelKeyOf(name, locale) {
+  if (name === null) return '(nothing focused)';
+  return findLabelKey(name, locale) ?? `(unregistered) ${name}`;
+}
+
+/**
+ * Assert the order Tab moves focus in, by label keys
+ * Focus is put on the first key's element, then Tab is pressed once per
+ * remaining key; each stop must be the next key. Disabled and hidden
+ * controls are skipped by the browser, so list only what should be reachable.
+ *
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {string[]} keys - Label keys in expected Tab order (e.g., ['customer_state', 'business_type'])
+ * @param {string} [locale=pageLocale(page)] - Locale for labels
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await expectFocusOrder(page, ['customer_state', 'business_type', 'annual_revenue', 'submit_quote']);
+ * // Expected: [..., 'submit_quote'] Received: [..., 'lookup_quote_id'] when submit is still disabled
+ */
+export async function expectFocusOrder(page, keys, locale = pageLocale(page)) {
+  const L = getLabels(locale);
+  const [first, ...rest] = keys;
+
+  await page.getByLabel(L[first], { exact: true }).focus();
+  const reached = [labelKeyOf(await focusedName(page), locale)];
+  for (let i = 0; i < rest.length; i++) {
+    await page.keyboard.press('Tab');
+    reached.push(labelKeyOf(await focusedName(page), locale));
+  }
+
+  expect(reached, `Tab order starting at ${first}`).toEqual(keys);
+}
@@ -7,7 +7,7 @@
  * PHILOSOPHY:
  * - Flows describe WHAT users do, not HOW the UI is built
  * - Each flow returns useful data for assertions
- * - Flows accept locale parameter for multi-language support
+ * - Flows run in the page's locale (set by the locale fixture); pass `locale` to override
  * - Helpers use label registry, never hardcoded strings
  * 
  * @example Basic usage
@@ -17,14 +17,33 @@
  *   state: 'WI',
  *   business: 'retail',
  *   revenue: '50000',
- *   coverage: 'none',
- *   locale: 'en'
+ *   coverage: 'none'
  * });
  * 
  * expect(result.premium).toBeGreaterThan(1000);
  */
 
-import { getLabels } from '../../labels/index.js';
+import { getLabels, getText, matchTemplate } from '../../labels/index.js';
+import { parseLocalizedCurrency, parseLocalizedNumber, parseLocalizedDate } from '../intl/localeParsing.js';
+import { TIMESTAMP_FORMAT } from '../../../shared/resultFormat.js';
+import { PRODUCT_RULES, localizeName } from '../../../shared/productRules.js';
+import { fillQuoteFormByKeyboard, submitQuoteByKeyboard } from './keyboardFlows.js';
+import { pageLocale, quotePageUrl } from '../env.js';
+
+/**
+ * Open the quote page in the page's locale
+ * 
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {Object<string, string>} [params={}] - Extra query parameters (see quotePageUrl)
+ * @returns {Promise<void>}
+ * 
+ * @example
+ * await openQuotePage(page);                       // ?lang=es in the ui-es project
+ * await openQuotePage(page, { retryDelay: '50' });
+ */
+export async function openQuotePage(page, params = {}) {
+  await page.goto(quotePageUrl({ lang: pageLocale(page), ...params }));
+}
 
 /**
  * Fill out the quote form fields
@@ -35,7 +54,7 @@ import { getLabels } from '../../labels/index.js';
  * @param {string} options.business - Business type ('retail', 'restaurant', 'professional', 'manufacturing')
  * @param {string} options.revenue - Annual revenue as string (e.g., '50000')
  * @param {string} [options.coverage] - Coverage level ('none', 'silver', 'gold', 'platinum') - optional for V1 states
- * @param {string} [options.locale='en'] - Locale for labels
+ * @param {string} [options.locale=pageLocale(page)] - Locale for labels
  * @returns {Promise<void>}
  * 
  * @example
@@ -43,12 +62,11 @@ import { getLabels } from '../../labels/index.js';
  *   state: 'WI',
  *   business: 'retail',
  *   revenue: '50000',
- *   coverage: 'silver',
- *   locale: 'en'
+ *   coverage: 'silver'
  * });
  */
 export async function fillQuoteForm(page, options) {
-  const { state, business, revenue, coverage, locale = 'en' } = options;
+  const { state, business, revenue, coverage, locale = pageLocale(page) } = options;
   const L = getLabels(locale);
   
   // Fill basic form fields
@@ -67,59 +85,101 @@ export async function fillQuoteForm(page, options) {
  * Submit the quote form
  * 
  * @param {import('@playwright/test').Page} page - Playwright page object
- * @param {string} [locale='en'] - Locale for labels
+ * @param {string} [locale=pageLocale(page)] - Locale for labels
  * @returns {Promise<void>}
  * 
  * @example
- * await submitQuote(page, 'en');
+ * await submitQuote(page);
  */
-export async function submitQuote(page, locale = 'en') {
+export async function submitQuote(page, locale = pageLocale(page)) {
   const L = getLabels(locale);
   await page.getByLabel(L.submit_quote).click();
 }
 
 /**
  * Get quote result details from the page
+ * Parsing follows the locale's conventions: '$1,150.00' (en) and '1150,00 US$' (es)
+ * both read as premium 1150 in USD, and the timestamp is read back into a Date.
  * 
  * @param {import('@playwright/test').Page} page - Playwright page object
- * @param {string} [locale='en'] - Locale for labels
+ * @param {string} [locale=pageLocale(page)] - Locale for labels and number/date conventions
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - Time zone the page renders in (default: the browser's, which
+ *   playwright.config.js pins to TIME_ZONE like the page's ?tz=)
  * @returns {Promise<Object>} Quote result data
  * @returns {number} .premium - Premium amount as number
+ * @returns {string|null} .currency - ISO 4217 code of the premium (e.g., 'USD')
  * @returns {string} .premiumText - Premium as formatted string (e.g., '$1,234.56')
  * @returns {string} .quoteId - Quote ID (e.g., 'Q-1234567890-ABC12')
- * @returns {string} .timestamp - Quote timestamp
+ * @returns {Date|null} .timestamp - When the quote was calculated (null if unparseable)
+ * @returns {string} .timestampText - Timestamp as rendered
+ * @returns {Object|null} .breakdown - Itemized premium (null when the backend doesn't itemize)
+ * @returns {number} .breakdown.base - Revenue base in the premium's currency
+ * @returns {number} .breakdown.stateFactor - State rating factor
+ * @returns {number} .breakdown.businessFactor - Business class rating factor
+ * @returns {number} .breakdown.coverageFactor - Coverage tier loading factor
  * 
  * @example
- * const result = await getQuoteResult(page, 'en');
- * expect(result.premium).toBeGreaterThan(1000);
- * expect(result.quoteId).toMatch(/^Q-/);
+ * const result = await getQuoteResult(page, 'es');
+ * expect(result.premium).toBe(1150);
+ * expect(result.currency).toBe('USD');
+ * expect(result.timestamp).toBeInstanceOf(Date);
+ * expect(result.breakdown.stateFactor).toBe(1.15);
  */
-export async function getQuoteResult(page, locale = 'en') {
+export async function getQuoteResult(page, locale = pageLocale(page), { timeZone } = {}) {
   const L = getLabels(locale);
+  const T = getText(locale);
   
   // Wait for result to appear
   await page.getByLabel(L.quote_result).waitFor({ state: 'visible' });
   
-  // Extract premium
-  const premiumText = await page.getByLabel(L.premium_amount).textContent();
-  const premium = parseFloat(premiumText.replace(/[$,]/g, ''));
+  // Extract premium (locale decides separators and currency symbol)
+  const premiumText = (await page.getByLabel(L.premium_amount).textContent()).trim();
+  const { amount: premium, currency } = parseLocalizedCurrency(premiumText, locale);
   
-  // Extract quote ID
+  // Extract quote ID (rendered from the locale's quote_id_template)
   const quoteIdText = await page.getByLabel(L.quote_id).textContent();
-  const quoteId = quoteIdText.replace(/^Quote ID:\s*/, '').trim();
+  const quoteId = matchTemplate(T.quote_id_template, quoteIdText)?.quoteId.trim() ?? '';
   
-  // Extract timestamp
-  const timestampText = await page.getByLabel(L.quote_timestamp).textContent();
-  const timestamp = timestampText.replace(/^Generated:\s*/, '').trim();
+  // Extract timestamp (rendered from the locale's quote_timestamp_template, in the page's time zone)
+  const timestampLine = await page.getByLabel(L.quote_timestamp).textContent();
+  const timestampText = matchTemplate(T.quote_timestamp_template, timestampLine)?.timestamp.trim() ?? '';
+  const zone = timeZone ?? await page.evaluate(() => Intl.DateTimeFormat().resolvedOptions().timeZone);
+  const timestamp = parseLocalizedDate(timestampText, locale, { timeZone: zone, format: TIMESTAMP_FORMAT });
+  
+  // Extract itemized breakdown (only rendered when the backend provides it)
+  let breakdown = null;
+  if (await page.getByLabel(L.premium_breakdown).isVisible()) {
+    const readText = async (key) => page.getByLabel(L[key]).textContent();
+    const readFactor = async (key) => parseLocalizedNumber(await readText(key), locale);
+    
+    breakdown = {
+      base: parseLocalizedCurrency(await readText('premium_base'), locale).amount,
+      stateFactor: await readFactor('premium_state_factor'),
+      businessFactor: await readFactor('premium_business_factor'),
+      coverageFactor: await readFactor('premium_coverage_factor'),
+    };
+  }
   
   return {
     premium,
+    currency,
     premiumText,
     quoteId,
     timestamp,
+    timestampText,
+    breakdown,
   };
 }
 
+/**
+ * How getQuote drives the form
+ * - pointer: selectOption / fill / check / click (fillQuoteForm, submitQuote)
+ * - keyboard: Tab, arrow keys, typing and Enter only (keyboardFlows.js)
+ * @type {string[]}
+ */
+export const INPUT_MODES = ['pointer', 'keyboard'];
+
 /**
  * Complete end-to-end quote flow (fill + submit + get result)
  * This is the most commonly used helper - combines all steps
@@ -130,8 +190,10 @@ export async function getQuoteResult(page, locale = 'en') {
  * @param {string} options.business - Business type
  * @param {string} options.revenue - Annual revenue
  * @param {string} [options.coverage] - Coverage level (optional for V1 states)
- * @param {string} [options.locale='en'] - Locale
+ * @param {string} [options.locale=pageLocale(page)] - Locale
+ * @param {'pointer'|'keyboard'} [options.input='pointer'] - How the form is driven (see INPUT_MODES)
  * @returns {Promise<Object>} Quote result (see getQuoteResult return type)
+ * @throws {Error} When `input` is not one of INPUT_MODES
  * 
  * @example Simple usage
  * const result = await getQuote(page, {
@@ -157,13 +219,25 @@ export async function getQuoteResult(page, locale = 'en') {
  *   business: 'retail',
  *   revenue: '50000'
  * });
+ * 
+ * @example Keyboard only
+ * const result = await getQuote(page, { state: 'WI', business: 'retail', revenue: '50000', input: 'keyboard' });
  */
 export async function getQuote(page, options) {
-  const locale = options.locale || 'en';
+  const locale = options.locale || pageLocale(page);
+  const input = options.input || 'pointer';
+  if (!INPUT_MODES.includes(input)) {
+    throw new Error(`Unknown input mode "${input}". Known modes: ${INPUT_MODES.join(', ')}`);
+  }
   
   // Fill and submit form
-  await fillQuoteForm(page, options);
-  await submitQuote(page, locale);
+  if (input === 'keyboard') {
+    await fillQuoteFormByKeyboard(page, options);
+    await submitQuoteByKeyboard(page, locale);
+  } else {
+    await fillQuoteForm(page, options);
+    await submitQuote(page, locale);
+  }
   
   // Get and return result
   return await getQuoteResult(page, locale);
@@ -174,7 +248,7 @@ export async function getQuote(page, options) {
  * Useful for verifying loading states in tests
  * 
  * @param {import('@playwright/test').Page} page - Playwright page object
- * @param {string} [locale='en'] - Locale for labels
+ * @param {string} [locale=pageLocale(page)] - Locale for labels
  * @returns {Promise<void>}
  * 
  * @example
@@ -182,7 +256,7 @@ export async function getQuote(page, options) {
  * await waitForLoading(page);
  * // Now loading is complete
  */
-export async function waitForLoading(page, locale = 'en') {
+export async function waitForLoading(page, locale = pageLocale(page)) {
   const L = getLabels(locale);
   
   // Wait for loading to appear
@@ -198,16 +272,189 @@ export async function waitForLoading(page, locale = 'en') {
  * Verify error message is displayed
  * 
  * @param {import('@playwright/test').Page} page - Playwright page object
- * @param {string} [locale='en'] - Locale for labels
+ * @param {string} [locale=pageLocale(page)] - Locale for labels
  * @returns {Promise<string>} Error message text
  * 
  * @example
  * const errorText = await getErrorMessage(page);
  * expect(errorText).toContain('Invalid');
  */
-export async function getErrorMessage(page, locale = 'en') {
+export async function getErrorMessage(page, locale = pageLocale(page)) {
   const L = getLabels(locale);
   
   await page.getByLabel(L.error_message).waitFor({ state: 'visible' });
   return await page.getByLabel(L.error_message).textContent();
 }
+
+/**
+ * Form fields and the label keys they are located by
+ * @type {Object<string, string>}
+ */
+const FIELD_LABEL_KEYS = {
+  state: 'customer_state',
+  business: 'business_type',
+  revenue: 'annual_revenue',
+};
+
+/**
+ * Get the inline validation errors currently shown, keyed by field
+ * A field counts as in error when it is aria-invalid; its message is the
+ * text of the element(s) its aria-describedby points at - exactly what a
+ * screen reader announces with the field.
+ * 
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {string} [locale=pageLocale(page)] - Locale for labels
+ * @returns {Promise<Object<string, string>>} Message per invalid field ('state', 'business', 'revenue')
+ * 
+ * @example
+ * await page.getByLabel(L.annual_revenue).fill('-5');
+ * expect(await getFieldErrors(page)).toEqual({ revenue: T.field_error_revenue_negative });
+ */
+export async function getFieldErrors(page, locale = pageLocale(page)) {
+  const L = getLabels(locale);
+  const errors = {};
+  
+  for (const [field, labelKey] of Object.entries(FIELD_LABEL_KEYS)) {
+    const message = await page.getByLabel(L[labelKey]).evaluate((el) => {
+      if (el.getAttribute('aria-invalid') !== 'true') return null;
+      return (el.getAttribute('aria-describedby') || '')
+        .split(/\s+/)
+        .map((id) => document.getElementById(id))
+        .filter((description) => description && !description.hidden)
+        .map((description) => description.textContent.trim())
+        .join(' ');
+    });
+    
+    if (message !== null) {
+      errors[field] = message;
+    }
+  }
+  
+  return errors;
+}
+
+/**
+ * Get the quotes listed in the recent quotes panel, newest first
+ * Entries are read from what the panel shows (not from localStorage), and
+ * display names are mapped back to the codes fillQuoteForm takes.
+ * 
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {string} [locale=pageLocale(page)] - Locale for labels and number/date conventions
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - Time zone the page renders in (default: the browser's)
+ * @returns {Promise<Array<Object>>} Entries - empty when the panel is hidden
+ * @returns {string} [].state - State code (e.g., 'WI')
+ * @returns {string} [].business - Business type value (e.g., 'retail')
+ * @returns {number} [].revenue - Annual revenue
+ * @returns {string} [].coverage - Coverage tier value (e.g., 'none')
+ * @returns {number} [].premium - Premium amount
+ * @returns {string|null} [].currency - ISO 4217 code of the premium
+ * @returns {string} [].quoteId - Quote ID
+ * @returns {Date|null} [].timestamp - When the quote was calculated
+ * 
+ * @example
+ * await getQuote(page, { state: 'WI', business: 'retail', revenue: '50000', coverage: 'none' });
+ * const [latest] = await getQuoteHistory(page);
+ * expect(latest).toMatchObject({ state: 'WI', revenue: 50000, premium: 1150 });
+ */
+export async function getQuoteHistory(page, locale = pageLocale(page), { timeZone } = {}) {
+  const L = getLabels(locale);
+  const T = getText(locale);
+  
+  const panel = page.getByLabel(L.quote_history);
+  if (!(await panel.isVisible())) {
+    return [];
+  }
+  
+  const zone = timeZone ?? await page.evaluate(() => Intl.DateTimeFormat().resolvedOptions().timeZone);
+  const valueOf = (items, text) => items.find((item) => localizeName(item.name, locale) === text)?.value ?? null;
+  
+  const entries = [];
+  for (const item of await panel.getByRole('listitem').all()) {
+    // Summary, premium, quote ID line, timestamp line (then the restore button)
+    const [summaryText, premiumText, quoteIdText, timestampLine] = await item.evaluate(
+      (el) => [...el.children].map((child) => child.textContent.trim())
+    );
+    const summary = matchTemplate(T.history_entry_template, summaryText) ?? {};
+    const { amount: premium, currency } = parseLocalizedCurrency(premiumText, locale);
+    const timestampText = matchTemplate(T.quote_timestamp_template, timestampLine)?.timestamp.trim() ?? '';
+    
+    entries.push({
+      state: /\(([A-Z]{2})\)$/.exec(summary.state ?? '')?.[1] ?? null,
+      business: valueOf(PRODUCT_RULES.businessTypes, summary.business),
+      revenue: parseLocalizedCurrency(summary.revenue ?? '', locale).amount,
+      coverage: valueOf(PRODUCT_RULES.coverageTiers, summary.coverage),
+      premium,
+      currency,
+      quoteId: matchTemplate(T.quote_id_template, quoteIdText)?.quoteId.trim() ?? '',
+      timestamp: parseLocalizedDate(timestampText, locale, { timeZone: zone, format: TIMESTAMP_FORMAT }),
+    });
+  }
+  
+  return entries;
+}
+
+/**
+ * Rate every coverage tier for the same inputs via "Compare coverage"
+ * Fills the form (coverage is ignored - every tier gets rated), clicks
+ * compare and reads the comparison table. Tier names in the row headers
+ * are mapped back to tier values. Only V2 states offer the comparison.
+ * 
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {Object} options - Quote inputs
+ * @param {string} options.state - State code (a V2 state, e.g., 'WI')
+ * @param {string} options.business - Business type
+ * @param {string} options.revenue - Annual revenue
+ * @param {string} [options.locale=pageLocale(page)] - Locale for labels and number conventions
+ * @returns {Promise<Object<string, number>>} Premium per tier value, in table order
+ * 
+ * @example
+ * const premiums = await compareCoverage(page, { state: 'WI', business: 'retail', revenue: '50000' });
+ * // { none: 1150, silver: 1265, gold: 1437.5, platinum: 1610 }
+ */
+export async function compareCoverage(page, options) {
+  const locale = options.locale || pageLocale(page);
+  const L = getLabels(locale);
+  
+  await fillQuoteForm(page, { ...options, coverage: undefined });
+  await page.getByLabel(L.compare_coverage).click();
+  
+  const table = page.getByLabel(L.coverage_comparison);
+  await table.waitFor({ state: 'visible' });
+  
+  const premiums = {};
+  for (const row of await table.locator('tbody').getByRole('row').all()) {
+    const tierText = (await row.getByRole('rowheader').textContent()).trim();
+    const premiumText = (await row.getByRole('cell').first().textContent()).trim();
+    const tier = PRODUCT_RULES.coverageTiers.find((item) => localizeName(item.name, locale) === tierText);
+    
+    premiums[tier?.value ?? tierText] = parseLocalizedCurrency(premiumText, locale).amount;
+  }
+  
+  return premiums;
+}
+
+/**
+ * Look up a saved quote by its ID and read it from the result panel
+ * The page puts the quote's inputs back into the form, so the form can be
+ * asserted too. For an unknown ID the page shows lookup_not_found instead
+ * of a result - assert on that directly rather than through this helper.
+ * 
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {string} quoteId - Quote ID (e.g., 'Q-1730822400000-K3J9X2')
+ * @param {string} [locale=pageLocale(page)] - Locale for labels and number/date conventions
+ * @returns {Promise<Object>} Quote result (see getQuoteResult return type)
+ * 
+ * @example
+ * const { quoteId, premium } = await getQuote(page, { state: 'WI', business: 'retail', revenue: '50000' });
+ * await page.reload();
+ * expect((await lookUpQuote(page, quoteId)).premium).toBe(premium);
+ */
+export async function lookUpQuote(page, quoteId, locale = pageLocale(page)) {
+  const L = getLabels(locale);
+  
+  await page.getByLabel(L.lookup_quote_id).fill(quoteId);
+  await page.getByLabel(L.look_up_quote).click();
+  
+  return await getQuoteResult(page, locale);
+}
@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Premium Table - Golden-master premiums for the full rating grid
+ *
+ * tests/golden/premium-table.csv records the expected premium for every
+ * state × business × coverage × representative revenue the product offers.
+ * It is committed with the code, so any change to a rate shows up in review
+ * as changed lines of a plain CSV an actuary can read.
+ *
+ * PHILOSOPHY:
+ * - The grid comes from shared/productRules.js; the table is the recorded answer
+ * - Premiums are compared to the cent - no ranges, no tolerances
+ * - A mismatch is reported per cell (old → new, with the change in %), never as one big blob
+ * - The table is only rewritten on purpose: npm run golden:update
+ *
+ * @example
+ * import { premiumGrid, readPremiumTable, diffPremiumTables, formatPremiumDiff } from '../helpers/golden/premiumTable.js';
+ *
+ * const actual = [];
+ * for (const cell of premiumGrid()) {
+ *   actual.push({ ...cell, ...await (await request.post(API_URL, { data: cell })).json() });
+ * }
+ * console.log(formatPremiumDiff(diffPremiumTables(readPremiumTable(), actual)));
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { PRODUCT_RULES, STATE_CODES, V2_STATES, BUSINESS_TYPES, COVERAGE_TIERS } from '../../../shared/productRules.js';
+
+/**
+ * Location of the recorded premium table
+ * @type {string}
+ */
+export const PREMIUM_TABLE_PATH = fileURLToPath(new URL('../../golden/premium-table.csv', import.meta.url));
+
+/**
+ * Representative annual revenues rated for every state × business × coverage
+ * The smallest and largest accepted values, an amount with cents, and the
+ * revenues the integration tests quote through the page.
+ * @type {number[]}
+ */
+export const GOLDEN_REVENUES = [0, 1, 12345.67, 50000, 75000, 100000, 200000, 1000000, PRODUCT_RULES.maxRevenue];
+
+const COLUMNS = ['state', 'business', 'coverage', 'revenue', 'premium', 'currency'];
+
+const HEADER = [
+  '# Golden-master premiums for POST /rate - one row per state × business × coverage × revenue',
+  '# Grid: shared/productRules.js. Re-record after an intended rate change: npm run golden:update',
+];
+
+/**
+ * Every rate request of the golden grid, in table order
+ * V1 states are rated with 'none' coverage only.
+ *
+ * @returns {Array<{ state: string, business: string, coverage: string, revenue: number }>}
+ */
+export function premiumGrid() {
+  return STATE_CODES.flatMap((state) => BUSINESS_TYPES.flatMap((business) =>
+    (V2_STATES.includes(state) ? COVERAGE_TIERS : ['none']).flatMap((coverage) =>
+      GOLDEN_REVENUES.map((revenue) => ({ state, business, coverage, revenue })))));
+}
+
+// One cell of the grid, as written in the table and in diffs
+const cellKey = ({ state, business, coverage, revenue }) => `${state} ${business} ${coverage} ${revenue}`;
+
+const cents = (premium) => Math.round(premium * 100);
+
+/**
+ * Serialize premium rows as the table's CSV
+ *
+ * @param {Array<{ state, business, coverage, revenue, premium, currency }>} rows - Rows in table order
+ * @returns {string} CSV with the header comments, ending in a newline
+ */
+export function formatPremiumTable(rows) {
+  const lines = rows.map((row) => [row.state, row.business, row.coverage, row.revenue, row.premium.toFixed(2), row.currency].join(','));
+  return [...HEADER, COLUMNS.join(','), ...lines, ''].join('\n');
+}
+
+/**
+ * Parse the table's CSV back into rows ('#' lines are comments)
+ *
+ * @param {string} text - CSV as written by formatPremiumTable
+ * @returns {Array<{ state: string, business: string, coverage: string, revenue: number, premium: number, currency: string }>}
+ * @throws {Error} When the column header is not the expected one or a row is malformed
+ */
+export function parsePremiumTable(text) {
+  const [header, ...lines] = text.split('\n').filter((line) => line.trim() !== '' && !line.startsWith('#'));
+  if (header !== COLUMNS.join(',')) {
+    throw new Error(`Premium table header must be "${COLUMNS.join(',')}", got "${header}"`);
+  }
+  return lines.map((line, index) => {
+    const values = line.split(',');
+    const row = Object.fromEntries(COLUMNS.map((column, i) => [column, values[i]]));
+    const parsed = { ...row, revenue: Number(row.revenue), premium: Number(row.premium) };
+    if (values.length !== COLUMNS.length || !Number.isFinite(parsed.revenue) || !Number.isFinite(parsed.premium)) {
+      throw new Error(`Malformed premium table row ${index + 1}: "${line}"`);
+    }
+    return parsed;
+  });
+}
+
+/**
+ * Read the recorded table
+ *
+ * @param {string} [path=PREMIUM_TABLE_PATH] - CSV file
+ * @returns {Array<Object>|null} Rows, or null when nothing has been recorded yet
+ */
+export function readPremiumTable(path = PREMIUM_TABLE_PATH) {
+  return existsSync(path) ? parsePremiumTable(readFileSync(path, 'utf8')) : null;
+}
+
+/**
+ * Record a table
+ *
+ * @param {Array<Object>} rows - Rows in table order
+ * @param {string} [path=PREMIUM_TABLE_PATH] - CSV file
+ */
+export function writePremiumTable(rows, path = PREMIUM_TABLE_PATH) {
+  writeFileSync(path, formatPremiumTable(rows));
+}
+
+/**
+ * Recorded premium for one rate request
+ *
+ * @param {{ state: string, business: string, coverage?: string, revenue: number|string }} request - Quote inputs
+ * @param {Array<Object>} [rows=readPremiumTable()] - Recorded table
+ * @returns {number} Premium
+ * @throws {Error} When the request is not a cell of the table
+ *
+ * @example
+ * expectedPremium({ state: 'WI', business: 'retail', revenue: 50000 }); // 1150
+ */
+export function expectedPremium({ state, business, coverage = 'none', revenue }, rows = readPremiumTable() ?? []) {
+  const key = cellKey({ state, business, coverage, revenue: Number(revenue) });
+  const row = rows.find((candidate) => cellKey(candidate) === key);
+  if (!row) {
+    throw new Error(`No recorded premium for ${key} - pick a revenue from GOLDEN_REVENUES`);
+  }
+  return row.premium;
+}
+
+/**
+ * Cell-by-cell differences between the recorded table and freshly rated rows
+ * A rated row without a premium carries the API's `error` instead.
+ *
+ * @param {Array<Object>} expected - Recorded rows
+ * @param {Array<Object>} actual - Rated rows ({ ...cell, premium, currency } or { ...cell, error })
+ * @returns {Array<{ kind: 'changed'|'missing'|'unexpected', cell: string, expected?: Object, actual?: Object }>}
+ *   changed: both have the cell but premium, currency or error differ;
+ *   missing: recorded but no longer in the grid; unexpected: rated but never recorded
+ */
+export function diffPremiumTables(expected, actual) {
+  const recorded = new Map(expected.map((row) => [cellKey(row), row]));
+  const rated = new Map(actual.map((row) => [cellKey(row), row]));
+  const changes = [];
+
+  for (const [cell, row] of rated) {
+    const before = recorded.get(cell);
+    if (!before) {
+      changes.push({ kind: 'unexpected', cell, actual: row });
+    } else if (row.error || cents(row.premium) !== cents(before.premium) || row.currency !== before.currency) {
+      changes.push({ kind: 'changed', cell, expected: before, actual: row });
+    }
+  }
+  for (const [cell, row] of recorded) {
+    if (!rated.has(cell)) {
+      changes.push({ kind: 'missing', cell, expected: row });
+    }
+  }
+  return changes;
+}
+
+const describeRow = (row) => (row.error ? `error "${row.error}"` : `${row.premium.toFixed(2)} ${row.currency}`);
+
+function describeChange({ expected, actual }) {
+  if (actual.error || actual.currency !== expected.currency) {
+    return `${describeRow(expected)} → ${describeRow(actual)}`;
+  }
+  const delta = actual.premium - expected.premium;
+  const sign = delta > 0 ? '+' : '';
+  const percent = expected.premium === 0 ? '' : `, ${sign}${((delta / expected.premium) * 100).toFixed(2)}%`;
+  return `${describeRow(expected)} → ${describeRow(actual)} (${sign}${delta.toFixed(2)}${percent})`;
+}
+
+/**
+ * Render differences as a review-friendly report, one line per cell
+ *
+ * @param {Array<Object>} changes - Result of diffPremiumTables
+ * @param {Object} [options]
+ * @param {number} [options.total] - Cells compared, for the summary line
+ * @returns {string} Report ('' when there are no changes)
+ *
+ * @example
+ * formatPremiumDiff(changes);
+ * // 1 of 684 cells differ from tests/golden/premium-table.csv:
+ * // ~ WI retail gold 50000: 1437.50 USD → 1500.00 USD (+62.50, +4.35%)
+ */
+export function formatPremiumDiff(changes, { total } = {}) {
+  if (changes.length === 0) {
+    return '';
+  }
+  const lines = changes.map((change) => {
+    if (change.kind === 'missing') return `- ${change.cell}: ${describeRow(change.expected)} (no longer in the grid)`;
+    if (change.kind === 'unexpected') return `+ ${change.cell}: ${describeRow(change.actual)} (not recorded)`;
+    return `~ ${change.cell}: ${describeChange(change)}`;
+  });
+  const count = total ? `${changes.length} of ${total}` : `${changes.length}`;
+  return [`${count} cells differ from tests/golden/premium-table.csv:`, ...lines].join('\n');
+}
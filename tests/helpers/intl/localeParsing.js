@@ -0,0 +1,233 @@
+/**
+ * @fileoverview Locale Parsing Helpers - Read localized numbers, money and dates back into values
+ *
+ * The quote page renders numbers the way its locale writes them: '$1,234.56'
+ * in English, '1234,56 US$' in Spanish. Stripping characters with a regex
+ * only works for one of them. These helpers ask `Intl` how the locale writes
+ * separators, currency symbols, month names and day periods, then parse with
+ * exactly those conventions.
+ *
+ * PHILOSOPHY:
+ * - The locale decides what '.' and ',' mean - never guess from the text
+ * - Formatting and parsing use the same Intl options, so they can't disagree
+ * - Unparseable text returns null (or NaN for numbers) rather than a wrong value
+ *
+ * @example
+ * parseLocalizedNumber('1.234,5', 'es');                  // 1234.5
+ * parseLocalizedCurrency('1234,56 US$', 'es');            // { amount: 1234.56, currency: 'USD' }
+ * parseLocalizedDate('19/10/2026, 15:04:05', 'es', { timeZone: 'UTC' });
+ * // Date 2026-10-19T15:04:05.000Z
+ */
+
+/**
+ * Currencies recognized when the caller doesn't narrow them down
+ * @type {string[]}
+ */
+export const DEFAULT_CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD', 'MXN'];
+
+/**
+ * Fields Date.prototype.toLocaleString() renders when given no options
+ * @type {Intl.DateTimeFormatOptions}
+ */
+export const DEFAULT_DATE_FORMAT = {
+  year: 'numeric',
+  month: 'numeric',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: 'numeric',
+  second: 'numeric',
+};
+
+// Regional spaces (U+00A0, U+202F) show up in fr/es output - compare them as plain spaces
+const normalizeSpaces = (text) => String(text).replace(/\s+/g, ' ').trim();
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Get the group and decimal separators a locale writes
+ *
+ * @param {string} locale - BCP-47 locale tag
+ * @returns {{ group: string, decimal: string }} Separators (group normalized to a plain space if it is one)
+ */
+function numberSeparators(locale) {
+  const parts = new Intl.NumberFormat(locale, { useGrouping: 'always' }).formatToParts(1234567.8);
+  const find = (type) => normalizeSpaces(parts.find((part) => part.type === type)?.value ?? '') || ' ';
+  return { group: find('group'), decimal: find('decimal') };
+}
+
+/**
+ * Parse a number written with a locale's separators
+ *
+ * @param {string} text - Localized number, optionally with surrounding text ('× 1,10')
+ * @param {string} locale - BCP-47 locale tag
+ * @returns {number} Parsed number, NaN when the text holds no digits
+ *
+ * @example
+ * parseLocalizedNumber('1,234.5', 'en');  // 1234.5
+ * parseLocalizedNumber('1.234,5', 'es');  // 1234.5
+ * parseLocalizedNumber('× 1,10', 'es');   // 1.1
+ */
+export function parseLocalizedNumber(text, locale) {
+  const { group, decimal } = numberSeparators(locale);
+  const normalized = normalizeSpaces(text);
+
+  // Keep digits, separators and a leading sign; drop symbols and words
+  const allowed = new RegExp(`[^\\d${escapeRegExp(group)}${escapeRegExp(decimal)}\\-−]`, 'g');
+  const numeric = normalized
+    .replace(allowed, '')
+    .split(group).join('')
+    .replace(decimal, '.')
+    .replace('−', '-');
+
+  return /\d/.test(numeric) ? parseFloat(numeric) : NaN;
+}
+
+/**
+ * Parse a localized currency amount and identify its currency
+ * The currency is recognized by the symbol or ISO code the locale uses for it,
+ * e.g. 'US$' or 'USD' in Spanish, '$' in English.
+ *
+ * @param {string} text - Localized amount (e.g., '$1,150.00', '1150,00 US$')
+ * @param {string} locale - BCP-47 locale tag
+ * @param {Object} [options]
+ * @param {string[]} [options.currencies=DEFAULT_CURRENCIES] - Candidate ISO 4217 codes, preferred first
+ * @returns {{ amount: number, currency: string|null }} Amount (NaN if none) and ISO code (null if unrecognized)
+ *
+ * @example
+ * parseLocalizedCurrency('$1,150.00', 'en');    // { amount: 1150, currency: 'USD' }
+ * parseLocalizedCurrency('1150,00 US$', 'es');  // { amount: 1150, currency: 'USD' }
+ */
+export function parseLocalizedCurrency(text, locale, { currencies = DEFAULT_CURRENCIES } = {}) {
+  const normalized = normalizeSpaces(text);
+
+  const markers = currencies.flatMap((currency, priority) => ['symbol', 'code'].map((currencyDisplay) => {
+    const parts = new Intl.NumberFormat(locale, { style: 'currency', currency, currencyDisplay }).formatToParts(1);
+    return { currency, priority, marker: normalizeSpaces(parts.find((part) => part.type === 'currency').value) };
+  }));
+
+  // Longest marker first so 'US$' wins over '$'; ties go to the earlier candidate
+  markers.sort((a, b) => b.marker.length - a.marker.length || a.priority - b.priority);
+  const match = markers.find(({ marker }) => normalized.includes(marker));
+
+  const amountText = match ? normalized.replace(match.marker, '') : normalized;
+  return {
+    amount: parseLocalizedNumber(amountText, locale),
+    currency: match ? match.currency : null,
+  };
+}
+
+/**
+ * Get the UTC offset of a time zone at an instant
+ *
+ * @param {number} instant - Epoch milliseconds
+ * @param {string} [timeZone] - IANA time zone (default: host time zone)
+ * @returns {number} Offset in milliseconds (local wall time minus UTC)
+ */
+function timeZoneOffset(instant, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric',
+  }).formatToParts(instant).map(({ type, value }) => [type, Number(value)]));
+
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wall - Math.floor(instant / 1000) * 1000;
+}
+
+/**
+ * Localized names for a textual date field, keyed by normalized name
+ *
+ * @param {string} locale - BCP-47 locale tag
+ * @param {Intl.DateTimeFormatOptions} format - Options the text was formatted with
+ * @param {'month'|'dayPeriod'} type - Field to enumerate
+ * @returns {Map<string, number>} Name → month number (1-12) or hour offset (0 or 12)
+ */
+function fieldNames(locale, format, type) {
+  const names = new Map();
+  const samples = type === 'month'
+    ? Array.from({ length: 12 }, (_, index) => [Date.UTC(2024, index, 15, 12), index + 1])
+    : [[Date.UTC(2024, 0, 15, 1), 0], [Date.UTC(2024, 0, 15, 13), 12]];
+
+  const formatter = new Intl.DateTimeFormat(locale, { ...format, timeZone: 'UTC' });
+  for (const [instant, value] of samples) {
+    const part = formatter.formatToParts(instant).find((candidate) => candidate.type === type);
+    if (part) names.set(normalizeSpaces(part.value).toLowerCase(), value);
+  }
+  return names;
+}
+
+/**
+ * Parse a localized date/time back into a Date
+ * Pass the same Intl options and time zone the text was formatted with; the
+ * defaults match Date.prototype.toLocaleString(locale) in the host time zone.
+ *
+ * @param {string} text - Localized date/time (e.g., '10/19/2026, 3:04:05 PM')
+ * @param {string} locale - BCP-47 locale tag
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - IANA time zone the text was rendered in (default: host)
+ * @param {Intl.DateTimeFormatOptions} [options.format=DEFAULT_DATE_FORMAT] - Options the text was rendered with
+ * @returns {Date|null} The instant, or null when the text doesn't follow the locale's format
+ *
+ * @example
+ * parseLocalizedDate('10/19/2026, 3:04:05 PM', 'en', { timeZone: 'UTC' });
+ * // Date 2026-10-19T15:04:05.000Z
+ * parseLocalizedDate('19 oct 2026, 15:04', 'es', {
+ *   timeZone: 'Europe/Madrid',
+ *   format: { dateStyle: 'medium', timeStyle: 'short' },
+ * });
+ */
+export function parseLocalizedDate(text, locale, { timeZone, format = DEFAULT_DATE_FORMAT } = {}) {
+  const formatter = new Intl.DateTimeFormat(locale, { ...format, timeZone });
+  const months = fieldNames(locale, format, 'month');
+  const dayPeriods = fieldNames(locale, format, 'dayPeriod');
+
+  // Learn the field order and literals from a reference date, then mirror them as a regex
+  const fields = [];
+  const pattern = formatter.formatToParts(Date.UTC(2024, 0, 15, 13, 4, 5)).map(({ type, value }) => {
+    if (type === 'literal') {
+      return escapeRegExp(value.replace(/\s+/g, ' ')).replace(/ /g, '\\s*');
+    }
+    fields.push(type);
+    if (type === 'month' && months.size && !/^\d+$/.test(value)) {
+      return `(${[...months.keys()].map(escapeRegExp).join('|')})`;
+    }
+    if (type === 'dayPeriod') {
+      return `(${[...dayPeriods.keys()].map((name) => escapeRegExp(name).replace(/ /g, '\\s*')).join('|')})`;
+    }
+    return /^\d+$/.test(value) ? '(\\d+)' : '(.+?)';
+  }).join('');
+
+  const match = new RegExp(`^${pattern}$`, 'i').exec(normalizeSpaces(text));
+  if (!match) {
+    return null;
+  }
+
+  const values = {};
+  fields.forEach((type, index) => { values[type] = match[index + 1]; });
+
+  const month = months.has(values.month?.toLowerCase())
+    ? months.get(values.month.toLowerCase())
+    : Number(values.month ?? 1);
+  let year = Number(values.year ?? new Date().getFullYear());
+  if (values.year?.length === 2) year += 2000;
+
+  let hour = Number(values.hour ?? 0) % 24;
+  if (values.dayPeriod !== undefined) {
+    const period = normalizeSpaces(values.dayPeriod).toLowerCase().replace(/\s+/g, '');
+    const offset = [...dayPeriods].find(([name]) => name.replace(/\s+/g, '') === period)?.[1] ?? 0;
+    hour = (hour % 12) + offset;
+  }
+
+  const wall = Date.UTC(
+    year, month - 1, Number(values.day ?? 1),
+    hour, Number(values.minute ?? 0), Number(values.second ?? 0),
+    Number((values.fractionalSecond ?? '0').padEnd(3, '0').slice(0, 3)),
+  );
+
+  // Wall time → instant: apply the zone's offset, then re-check it across DST changes
+  let instant = wall - timeZoneOffset(wall, timeZone);
+  instant = wall - timeZoneOffset(instant, timeZone);
+
+  return Number.isNaN(instant) ? null : new Date(instant);
+}
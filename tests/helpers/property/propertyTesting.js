@@ -0,0 +1,304 @@
+/**
+ * @fileoverview Property Testing Harness - Seeded generators, invariant checks and shrinking
+ *
+ * A property is an invariant that must hold for every generated input. The
+ * harness generates `runs` inputs from a seeded PRNG, and when one fails it
+ * shrinks it to the smallest input that still fails, then reports both along
+ * with the seed - so the exact failure replays with PROPERTY_SEED=<seed>.
+ *
+ * PHILOSOPHY:
+ * - Generators are plain objects: generate(random) and shrink(value)
+ * - Shrunk values stay inside the generator's domain (no invalid "smaller" inputs)
+ * - A failure message is a bug report: property, seed, minimal input, replay command
+ *
+ * ENVIRONMENT VARIABLES:
+ * - PROPERTY_SEED: Replay a reported failure (default: see resolvePropertySeed - pinned
+ *   per commit under CI, so a retried job replays the same inputs; random locally)
+ * - PROPERTY_RUNS: Inputs generated per property (default: 200)
+ *
+ * @example
+ * import { checkProperty, integer, record, constantFrom } from '../helpers/property/propertyTesting.js';
+ *
+ * await checkProperty('revenue stays positive', record({
+ *   state: constantFrom('WI', 'TX'),
+ *   revenue: integer({ min: 0, max: 1000000 }),
+ * }), async ({ state, revenue }) => {
+ *   expect(revenue).toBeGreaterThanOrEqual(0);
+ * });
+ */
+
+/**
+ * Seed used under CI when the commit is unknown
+ * @type {number}
+ */
+export const CI_PROPERTY_SEED = 20240601;
+
+/**
+ * Pick the seed for a run
+ * PROPERTY_SEED wins. Under CI the seed is derived from the commit (GITHUB_SHA or
+ * CI_COMMIT_SHA), so retries and reruns of a commit generate the same inputs and a
+ * flaky property cannot pass on a second roll; without a commit it is CI_PROPERTY_SEED.
+ * Local runs get a fresh random seed to keep exploring.
+ *
+ * @param {Object<string, string|undefined>} [env=process.env] - Environment to read
+ * @returns {number} 32-bit unsigned seed
+ *
+ * @example
+ * resolvePropertySeed({ PROPERTY_SEED: '42' });               // 42
+ * resolvePropertySeed({ CI: '1', GITHUB_SHA: '8dac7c6e...' }); // 0x8dac7c6e
+ * resolvePropertySeed({ CI: '1' });                           // CI_PROPERTY_SEED
+ */
+export function resolvePropertySeed(env = process.env) {
+  if (env.PROPERTY_SEED) {
+    return Number(env.PROPERTY_SEED) >>> 0;
+  }
+  if (env.CI) {
+    const sha = env.GITHUB_SHA || env.CI_COMMIT_SHA || '';
+    return /^[0-9a-f]{8}/i.test(sha) ? Number.parseInt(sha.slice(0, 8), 16) >>> 0 : CI_PROPERTY_SEED;
+  }
+  return Math.floor(Math.random() * 2 ** 32);
+}
+
+/**
+ * Seed for this test run (see resolvePropertySeed)
+ * @type {number}
+ */
+export const PROPERTY_SEED = resolvePropertySeed();
+
+/**
+ * Inputs generated per property
+ * @type {number}
+ */
+export const PROPERTY_RUNS = Number(process.env.PROPERTY_RUNS) || 200;
+
+/**
+ * Most candidate inputs tried while shrinking one failure
+ * @type {number}
+ */
+export const MAX_SHRINK_ATTEMPTS = 500;
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32)
+ * The same seed always yields the same sequence.
+ *
+ * @param {number} seed - 32-bit unsigned integer
+ * @returns {{ next: function(): number, int: function(number, number): number, pick: function(Array): *, bool: function(number=): boolean }}
+ *   next() in [0, 1), int(min, max) inclusive, pick(items), bool(probability)
+ *
+ * @example
+ * const random = createRandom(42);
+ * random.int(1, 6); // same roll every time for seed 42
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 2 ** 32;
+  };
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: (items) => items[Math.floor(next() * items.length)],
+    bool: (probability = 0.5) => next() < probability,
+  };
+}
+
+/**
+ * Integers in [min, max]
+ * Spread evenly over orders of magnitude (so 0-9 is as likely as 100000-999999),
+ * with the bounds themselves generated often. Shrinks toward the bound closest to 0.
+ *
+ * @param {Object} [range]
+ * @param {number} [range.min=0] - Smallest value (inclusive)
+ * @param {number} [range.max=Number.MAX_SAFE_INTEGER] - Largest value (inclusive)
+ * @returns {{ generate: Function, shrink: Function }} Generator
+ *
+ * @example
+ * integer({ min: 0, max: 1000000000 }); // 0, 7, 1000000000, 31415, ...
+ */
+export function integer({ min = 0, max = Number.MAX_SAFE_INTEGER } = {}) {
+  const target = min > 0 ? min : max < 0 ? max : 0;
+  return {
+    generate(random) {
+      if (random.bool(0.1)) {
+        return random.pick([min, max, target]);
+      }
+      const span = max - min;
+      const digits = random.int(1, String(span).length);
+      const size = Math.min(span, 10 ** digits - 1);
+      return random.bool() ? min + random.int(0, size) : max - random.int(0, size);
+    },
+    *shrink(value) {
+      // Jump to the target first, then close half the gap, a quarter, ... one step
+      if (value === target) return;
+      yield target;
+      for (let distance = Math.trunc((value - target) / 2); distance !== 0; distance = Math.trunc(distance / 2)) {
+        yield value - distance;
+      }
+      if (Math.abs(value - target) > 1) yield value > target ? value - 1 : value + 1;
+    },
+  };
+}
+
+/**
+ * One of a fixed list of values; shrinks toward earlier entries
+ *
+ * @param {...*} values - Candidates, simplest first
+ * @returns {{ generate: Function, shrink: Function }} Generator
+ *
+ * @example
+ * constantFrom('none', 'silver', 'gold', 'platinum');
+ */
+export function constantFrom(...values) {
+  return {
+    generate: (random) => random.pick(values),
+    *shrink(value) {
+      yield* values.slice(0, values.indexOf(value));
+    },
+  };
+}
+
+/**
+ * true or false; shrinks toward false
+ *
+ * @param {number} [probability=0.5] - Chance of true
+ * @returns {{ generate: Function, shrink: Function }} Generator
+ */
+export function boolean(probability = 0.5) {
+  return {
+    generate: (random) => random.bool(probability),
+    *shrink(value) {
+      if (value) yield false;
+    },
+  };
+}
+
+/**
+ * Objects whose fields come from their own generators
+ * Shrinks one field at a time, keeping the others as they are.
+ *
+ * @param {Object<string, { generate: Function, shrink: Function }>} fields - Generator per field
+ * @returns {{ generate: Function, shrink: Function }} Generator
+ *
+ * @example
+ * record({ state: constantFrom('WI', 'TX'), revenue: integer({ max: 1000000 }) });
+ */
+export function record(fields) {
+  return {
+    generate(random) {
+      return Object.fromEntries(Object.entries(fields).map(([key, field]) => [key, field.generate(random)]));
+    },
+    *shrink(value) {
+      for (const [key, field] of Object.entries(fields)) {
+        for (const smaller of field.shrink(value[key])) {
+          yield { ...value, [key]: smaller };
+        }
+      }
+    },
+  };
+}
+
+const SOURCE = Symbol('source');
+
+/**
+ * Generator whose values are post-processed by a function
+ * Shrinking happens on the source values, so every shrunk value is mapped too.
+ * The mapped value remembers its source under a non-enumerable symbol.
+ *
+ * @param {{ generate: Function, shrink: Function }} source - Generator to map
+ * @param {function(*): Object} mapper - Turns a source value into the value under test (an object)
+ * @returns {{ generate: Function, shrink: Function }} Generator
+ *
+ * @example
+ * map(record({ whole: integer(), cents: integer({ max: 99 }) }), ({ whole, cents }) => ({ revenue: whole + cents / 100 }));
+ */
+export function map(source, mapper) {
+  const wrap = (raw) => Object.defineProperty(mapper(raw), SOURCE, { value: raw });
+  return {
+    generate: (random) => wrap(source.generate(random)),
+    *shrink(value) {
+      for (const smaller of source.shrink(value[SOURCE])) {
+        yield wrap(smaller);
+      }
+    },
+  };
+}
+
+// A property fails by throwing (e.g. a failed expect) or by returning false
+async function failureOf(property, value) {
+  try {
+    return (await property(value)) === false ? new Error('Property returned false') : null;
+  } catch (error) {
+    return error;
+  }
+}
+
+/**
+ * Check that a property holds for `runs` generated inputs
+ * On failure, shrinks the input and throws an error naming the property,
+ * the seed, the minimal failing input, the original input and the cause.
+ *
+ * @param {string} name - What the property promises (used in the report)
+ * @param {{ generate: Function, shrink: Function }} generator - Input generator
+ * @param {function(*): (Promise<boolean|void>|boolean|void)} property - Throws or returns false when violated
+ * @param {Object} [options]
+ * @param {number} [options.seed=PROPERTY_SEED] - PRNG seed
+ * @param {number} [options.runs=PROPERTY_RUNS] - Inputs to try
+ * @param {function(*): string} [options.format=JSON.stringify] - How inputs are printed
+ * @returns {Promise<{ seed: number, runs: number }>} What was checked
+ * @throws {Error} When the property fails for some input
+ *
+ * @example
+ * await checkProperty('premium is non-negative', validRateRequest, async (body) => {
+ *   const { premium } = await (await request.post(API_URL, { data: body })).json();
+ *   expect(premium).toBeGreaterThanOrEqual(0);
+ * });
+ */
+export async function checkProperty(name, generator, property, { seed = PROPERTY_SEED, runs = PROPERTY_RUNS, format = JSON.stringify } = {}) {
+  const random = createRandom(seed);
+
+  for (let run = 1; run <= runs; run++) {
+    const original = generator.generate(random);
+    let failure = await failureOf(property, original);
+    if (!failure) continue;
+
+    // Greedy shrinking: take the first smaller input that still fails, repeat until none does
+    let smallest = original;
+    let shrinks = 0;
+    let attempts = 0;
+    let improved = true;
+    while (improved && attempts < MAX_SHRINK_ATTEMPTS) {
+      improved = false;
+      for (const candidate of generator.shrink(smallest)) {
+        if (++attempts > MAX_SHRINK_ATTEMPTS) break;
+        const candidateFailure = await failureOf(property, candidate);
+        if (candidateFailure) {
+          smallest = candidate;
+          failure = candidateFailure;
+          shrinks += 1;
+          improved = true;
+          break;
+        }
+      }
+    }
+
+    const error = new Error([
+      `Property "${name}" failed on run ${run} of ${runs} (seed ${seed})`,
+      `Minimal failing input (after ${shrinks} shrinks):`,
+      `  ${format(smallest)}`,
+      'Original failing input:',
+      `  ${format(original)}`,
+      'Failure:',
+      `  ${String(failure.message ?? failure).split('\n').join('\n  ')}`,
+      `Replay with: PROPERTY_SEED=${seed}`,
+    ].join('\n'));
+    error.seed = seed;
+    error.counterexample = smallest;
+    throw error;
+  }
+
+  return { seed, runs };
+}
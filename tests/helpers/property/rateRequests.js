@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Rate Request Generators - Valid and invalid /rate bodies for property tests
+ *
+ * Built from shared/productRules.js, so every state, business type and tier
+ * the product offers is generated without listing them here.
+ *
+ * - validRateRequest: a body the API must rate (V1 states only ever get 'none')
+ * - invalidRateRequest: a valid body with exactly one defect, plus the error
+ *   family the API must answer with ({ body, family, errors })
+ *
+ * One defect per body keeps the expected error unambiguous: the API reports
+ * only the first failing check, so two defects could legitimately surface
+ * either error.
+ *
+ * @example
+ * import { checkProperty } from './propertyTesting.js';
+ * import { validRateRequest } from './rateRequests.js';
+ *
+ * await checkProperty('rates every valid request', validRateRequest, async (body) => {
+ *   expect((await request.post(API_URL, { data: body })).status()).toBe(200);
+ * });
+ */
+
+import { PRODUCT_RULES, STATE_CODES, V1_STATES, V2_STATES, BUSINESS_TYPES, COVERAGE_TIERS } from '../../../shared/productRules.js';
+import { integer, constantFrom, boolean, record, map } from './propertyTesting.js';
+
+/**
+ * Error messages each defect may be reported with
+ * The live API is allowed either message where its checks could differ in order.
+ * @type {Object<string, string[]>}
+ */
+export const ERROR_FAMILIES = {
+  missingField: ['Missing required fields'],
+  badRevenue: ['Invalid revenue'],
+  nullRevenue: ['Invalid revenue', 'Missing required fields'],
+  unknownState: ['Invalid state'],
+  unknownBusiness: ['Invalid business type'],
+  unknownCoverage: ['Invalid coverage'],
+  unavailableCoverage: ['Coverage not available in state'],
+};
+
+const revenueSource = record({
+  whole: integer({ min: 0, max: PRODUCT_RULES.maxRevenue }),
+  cents: integer({ min: 0, max: 99 }),
+  fractional: boolean(0.2),
+});
+
+const requestSource = record({
+  state: constantFrom(...STATE_CODES),
+  business: constantFrom(...BUSINESS_TYPES),
+  coverage: constantFrom(...COVERAGE_TIERS),
+  // 'none' may be sent explicitly or left out - the API must treat both alike
+  omitNoneCoverage: boolean(),
+  revenue: revenueSource,
+});
+
+function toRevenue({ whole, cents, fractional }) {
+  return fractional && whole < PRODUCT_RULES.maxRevenue ? whole + cents / 100 : whole;
+}
+
+function toRateRequest({ state, business, coverage, omitNoneCoverage, revenue }) {
+  const tier = V2_STATES.includes(state) ? coverage : 'none';
+  const body = { revenue: toRevenue(revenue), state, business };
+  return tier === 'none' && omitNoneCoverage ? body : { ...body, coverage: tier };
+}
+
+/**
+ * Valid rate request bodies
+ * @type {{ generate: Function, shrink: Function }}
+ */
+export const validRateRequest = map(requestSource, toRateRequest);
+
+/**
+ * A valid request and two revenues (low < high) for the same state, business and tier
+ * Values: { body, lowRevenue, highRevenue } - body.revenue is lowRevenue.
+ * @type {{ generate: Function, shrink: Function }}
+ */
+export const revenuePair = map(
+  record({ request: requestSource, increase: integer({ min: 1, max: PRODUCT_RULES.maxRevenue }) }),
+  ({ request, increase }) => {
+    const body = toRateRequest(request);
+    return { body, lowRevenue: body.revenue, highRevenue: body.revenue + increase };
+  }
+);
+
+// Each defect turns a valid body into an invalid one and names its error family
+const DEFECTS = {
+  missingField: (body, { field }) => {
+    const { [field]: _removed, ...rest } = body;
+    return { body: rest, family: 'missingField' };
+  },
+  badRevenue: (body, { amount, revenueKind }) => {
+    const revenue = { negative: -amount, string: String(amount), boolean: true, null: null }[revenueKind];
+    return { body: { ...body, revenue }, family: revenueKind === 'null' ? 'nullRevenue' : 'badRevenue' };
+  },
+  unknownState: (body, { state }) => ({ body: { ...body, state }, family: 'unknownState' }),
+  unknownBusiness: (body, { business }) => ({ body: { ...body, business }, family: 'unknownBusiness' }),
+  unknownCoverage: (body, { coverage }) => ({ body: { ...body, coverage }, family: 'unknownCoverage' }),
+  unavailableCoverage: (body, { v1State, paidTier }) => ({
+    body: { ...body, state: v1State, coverage: paidTier },
+    family: 'unavailableCoverage',
+  }),
+};
+
+/**
+ * Invalid rate request bodies with exactly one defect
+ * Values: { body, family, errors } - errors lists the acceptable `error` strings.
+ * @type {{ generate: Function, shrink: Function }}
+ */
+export const invalidRateRequest = map(
+  record({
+    defect: constantFrom(...Object.keys(DEFECTS)),
+    request: requestSource,
+    field: constantFrom('revenue', 'state', 'business'),
+    amount: integer({ min: 1, max: PRODUCT_RULES.maxRevenue }),
+    revenueKind: constantFrom('negative', 'string', 'boolean', 'null'),
+    // Near misses of real values: wrong case, unknown codes, plausible words
+    state: constantFrom('ZZ', 'wi', 'Wisconsin', 'W1'),
+    business: constantFrom('bakery', 'Retail', 'RETAIL', 'shop'),
+    coverage: constantFrom('diamond', 'Gold', 'bronze', 'NONE'),
+    v1State: constantFrom(...V1_STATES),
+    paidTier: constantFrom(...COVERAGE_TIERS.filter((tier) => tier !== 'none')),
+  }),
+  (source) => {
+    const { body, family } = DEFECTS[source.defect](toRateRequest(source.request), source);
+    return { body, family, errors: ERROR_FAMILIES[family] };
+  }
+);
@@ -0,0 +1,288 @@
+/**
+ * @fileoverview Scenario Runner - Quote flows written as JSON, run as Playwright tests
+ *
+ * tests/scenarios/*.json describe user flows without JavaScript, so anyone who
+ * knows the product can add one. Steps name label registry keys
+ * (shared/labels/en.js) and flow helpers (quoteFlows.js); the runner turns every
+ * scenario into a test (tests/integration/scenarios.spec.js), in every locale.
+ *
+ * PHILOSOPHY:
+ * - A scenario says what the user does and sees, in the same words as the label registry
+ * - Files are checked when they are loaded: a typo in a key, flow, option or step
+ *   fails the whole run before any browser starts, naming the file and step
+ * - Steps map one-to-one onto the calls a hand-written test would make
+ *
+ * STEPS:
+ * - { "select": "customer_state", "value": "TX" }
+ * - { "fill": "annual_revenue", "value": "50000" }
+ * - { "check": "coverage_gold" } / { "click": "submit_quote" }
+ * - { "flow": "getQuote", "with": { "state": "WI", "business": "retail", "revenue": "50000", "coverage": "none" } }
+ * - { "expect": "coverage_unavailable_notice", "is": "visible" }   (see EXPECT_STATES)
+ * - { "expect": "premium_amount", "between": [1000, 1200] }        (a localized amount, inclusive)
+ *
+ * @example
+ * import { loadScenarioFiles, runScenario } from '../helpers/scenarios/scenarioRunner.js';
+ *
+ * for (const { title, scenarios } of loadScenarioFiles()) {
+ *   test.describe(title, () => {
+ *     for (const scenario of scenarios) {
+ *       test(scenario.name, async ({ page }) => runScenario(page, scenario));
+ *     }
+ *   });
+ * }
+ */
+
+import { readFileSync, readdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { expect } from '@playwright/test';
+import { getLabels } from '../../labels/index.js';
+import { parseLocalizedCurrency } from '../intl/localeParsing.js';
+import { getQuote, fillQuoteForm, submitQuote, compareCoverage } from '../flows/quoteFlows.js';
+import { INPUT_MODE, pageLocale } from '../env.js';
+
+/**
+ * Directory of the scenario files
+ * @type {string}
+ */
+export const SCENARIO_DIR = fileURLToPath(new URL('../../scenarios/', import.meta.url));
+
+/**
+ * Flows a scenario can call, with the options each accepts
+ * getQuote follows INPUT_MODE unless the step sets `input`.
+ * @type {Object<string, { options: string[], run: Function }>}
+ */
+export const SCENARIO_FLOWS = {
+  getQuote: {
+    options: ['state', 'business', 'revenue', 'coverage', 'input'],
+    run: (page, options) => getQuote(page, { input: INPUT_MODE, ...options }),
+  },
+  fillQuoteForm: {
+    options: ['state', 'business', 'revenue', 'coverage'],
+    run: (page, options) => fillQuoteForm(page, options),
+  },
+  submitQuote: {
+    options: [],
+    run: (page) => submitQuote(page),
+  },
+  compareCoverage: {
+    options: ['state', 'business', 'revenue'],
+    run: (page, options) => compareCoverage(page, options),
+  },
+};
+
+/**
+ * States an `expect` step can assert with `is`, and the matcher each one uses
+ * @type {Object<string, (locator: import('@playwright/test').Locator, message: string) => Promise<void>>}
+ */
+export const EXPECT_STATES = {
+  visible: (locator, message) => expect(locator, message).toBeVisible(),
+  hidden: (locator, message) => expect(locator, message).toBeHidden(),
+  enabled: (locator, message) => expect(locator, message).toBeEnabled(),
+  disabled: (locator, message) => expect(locator, message).toBeDisabled(),
+  checked: (locator, message) => expect(locator, message).toBeChecked(),
+  unchecked: (locator, message) => expect(locator, message).not.toBeChecked(),
+};
+
+// Step kind (its first known property) → the other properties it takes
+const STEP_KINDS = {
+  select: ['value'],
+  fill: ['value'],
+  check: [],
+  click: [],
+  flow: ['with'],
+  expect: ['is', 'between'],
+};
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Check one parsed scenario file against the label registry and the flow list
+ *
+ * @param {*} file - Parsed JSON
+ * @param {string} source - File name, prefixed to every problem
+ * @param {Object<string, string>} [labels=getLabels('en')] - Label registry the keys must exist in
+ * @returns {string[]} Problems, one per line ([] when the file is valid)
+ *
+ * @example
+ * validateScenarioFile({ title: 'T', scenarios: [{ name: 'n', steps: [{ click: 'submit_qoute' }] }] }, 'quotes.json');
+ * // ['quotes.json: scenarios[0].steps[0]: unknown label key "submit_qoute"']
+ */
+export function validateScenarioFile(file, source, labels = getLabels('en')) {
+  const problems = [];
+  const report = (path, message) => problems.push(`${source}: ${path ? `${path}: ` : ''}${message}`);
+
+  const checkKey = (path, key) => {
+    if (typeof key !== 'string' || !Object.hasOwn(labels, key)) {
+      report(path, `unknown label key ${JSON.stringify(key)}`);
+    } else if (labels[key].includes('{')) {
+      report(path, `label key "${key}" is a template ("${labels[key]}") - scenarios can only name fixed labels`);
+    }
+  };
+
+  const checkStep = (path, step) => {
+    if (!isPlainObject(step)) {
+      report(path, 'a step must be an object');
+      return;
+    }
+    const kind = Object.keys(STEP_KINDS).find((name) => name in step);
+    if (!kind) {
+      report(path, `unknown step ${JSON.stringify(step)} (steps: ${Object.keys(STEP_KINDS).join(', ')})`);
+      return;
+    }
+    const extra = Object.keys(step).filter((name) => name !== kind && !STEP_KINDS[kind].includes(name));
+    if (extra.length > 0) {
+      report(path, `"${kind}" step does not take ${extra.map((name) => `"${name}"`).join(', ')}`);
+    }
+
+    if (kind === 'flow') {
+      const flow = Object.hasOwn(SCENARIO_FLOWS, step.flow) && SCENARIO_FLOWS[step.flow];
+      if (!flow) {
+        report(path, `unknown flow ${JSON.stringify(step.flow)} (flows: ${Object.keys(SCENARIO_FLOWS).join(', ')})`);
+      } else if (step.with !== undefined && !isPlainObject(step.with)) {
+        report(path, '"with" must be an object of flow options');
+      } else {
+        const unknown = Object.keys(step.with || {}).filter((option) => !flow.options.includes(option));
+        if (unknown.length > 0) {
+          report(path, `${step.flow} has no option(s) ${unknown.join(', ')} (options: ${flow.options.join(', ') || 'none'})`);
+        }
+      }
+      return;
+    }
+
+    checkKey(path, step[kind]);
+    if ((kind === 'select' || kind === 'fill') && typeof step.value !== 'string') {
+      report(path, `"${kind}" step needs a string "value"`);
+    }
+    if (kind === 'expect') {
+      if (('is' in step) === ('between' in step)) {
+        report(path, '"expect" step needs exactly one of "is", "between"');
+      } else if ('is' in step && !Object.hasOwn(EXPECT_STATES, step.is)) {
+        report(path, `unknown state ${JSON.stringify(step.is)} (states: ${Object.keys(EXPECT_STATES).join(', ')})`);
+      } else if ('between' in step) {
+        const [min, max] = Array.isArray(step.between) ? step.between : [];
+        if (!Array.isArray(step.between) || step.between.length !== 2 || !Number.isFinite(min) || !Number.isFinite(max) || min > max) {
+          report(path, '"between" must be [min, max] numbers with min <= max');
+        }
+      }
+    }
+  };
+
+  if (!isPlainObject(file)) {
+    report('', 'a scenario file must be an object with "title" and "scenarios"');
+    return problems;
+  }
+  if (typeof file.title !== 'string' || file.title === '') {
+    report('', 'missing "title"');
+  }
+  if (!Array.isArray(file.scenarios) || file.scenarios.length === 0) {
+    report('', '"scenarios" must be a non-empty array');
+    return problems;
+  }
+
+  const names = new Set();
+  file.scenarios.forEach((scenario, i) => {
+    const path = `scenarios[${i}]`;
+    if (!isPlainObject(scenario) || typeof scenario.name !== 'string' || scenario.name === '') {
+      report(path, 'a scenario needs a "name"');
+    } else if (names.has(scenario.name)) {
+      report(path, `duplicate scenario name "${scenario.name}"`);
+    } else {
+      names.add(scenario.name);
+    }
+    if (!Array.isArray(scenario?.steps) || scenario.steps.length === 0) {
+      report(path, '"steps" must be a non-empty array');
+      return;
+    }
+    scenario.steps.forEach((step, j) => checkStep(`${path}.steps[${j}]`, step));
+  });
+
+  return problems;
+}
+
+/**
+ * Read and validate every scenario file in a directory
+ *
+ * @param {string} [dir=SCENARIO_DIR] - Directory of *.json scenario files
+ * @returns {Array<{ file: string, title: string, scenarios: Array<{ name: string, steps: Object[] }> }>} Files in name order
+ * @throws {Error} Listing every problem of every file (invalid JSON, unknown keys, flows, options or steps)
+ */
+export function loadScenarioFiles(dir = SCENARIO_DIR) {
+  const files = readdirSync(dir).filter((name) => name.endsWith('.json')).sort();
+  const problems = [];
+  const loaded = [];
+
+  for (const file of files) {
+    let data;
+    try {
+      data = JSON.parse(readFileSync(join(dir, file), 'utf8'));
+    } catch (error) {
+      problems.push(`${file}: invalid JSON (${error.message})`);
+      continue;
+    }
+    const fileProblems = validateScenarioFile(data, file);
+    problems.push(...fileProblems);
+    if (fileProblems.length === 0) {
+      loaded.push({ file, ...data });
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid scenario files in ${dir}:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+  }
+  return loaded;
+}
+
+/**
+ * Describe a step in the words of the scenario file, for assertion messages
+ *
+ * @param {Object} step - Validated step
+ * @returns {string}
+ *
+ * @example
+ * describeStep({ expect: 'premium_amount', between: [1000, 1200] }); // 'premium_amount is between 1000 and 1200'
+ */
+export function describeStep(step) {
+  if ('flow' in step) return `${step.flow}(${JSON.stringify(step.with || {})})`;
+  if ('is' in step) return `${step.expect} is ${step.is}`;
+  if ('between' in step) return `${step.expect} is between ${step.between[0]} and ${step.between[1]}`;
+  const kind = Object.keys(STEP_KINDS).find((name) => name in step);
+  return 'value' in step ? `${kind} ${step[kind]} = "${step.value}"` : `${kind} ${step[kind]}`;
+}
+
+/**
+ * Run a loaded scenario's steps on the page, in the page's locale
+ *
+ * @param {import('@playwright/test').Page} page - Playwright page object (quote page already open)
+ * @param {{ name: string, steps: Object[] }} scenario - From loadScenarioFiles
+ * @param {string} [locale=pageLocale(page)] - Locale for labels and amounts
+ * @returns {Promise<void>}
+ */
+export async function runScenario(page, scenario, locale = pageLocale(page)) {
+  const L = getLabels(locale);
+  const field = (key) => page.getByLabel(L[key], { exact: true });
+
+  for (const step of scenario.steps) {
+    const message = describeStep(step);
+
+    if ('select' in step) {
+      await field(step.select).selectOption(step.value);
+    } else if ('fill' in step) {
+      await field(step.fill).fill(step.value);
+    } else if ('check' in step) {
+      await field(step.check).check();
+    } else if ('click' in step) {
+      await field(step.click).click();
+    } else if ('flow' in step) {
+      await SCENARIO_FLOWS[step.flow].run(page, step.with || {});
+    } else if ('is' in step) {
+      await EXPECT_STATES[step.is](field(step.expect), message);
+    } else {
+      await expect(field(step.expect), message).toBeVisible();
+      const { amount } = parseLocalizedCurrency(await field(step.expect).textContent(), locale);
+      const [min, max] = step.between;
+      expect(amount, message).toBeGreaterThanOrEqual(min);
+      expect(amount, message).toBeLessThanOrEqual(max);
+    }
+  }
+}
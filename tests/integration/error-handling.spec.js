@@ -0,0 +1,208 @@
+// tests/integration/error-handling.spec.js
+// THIN APP MODEL - Error and Loading Paths with a Mocked Rating API
+//
+// Strategy: Replace the network with named scenarios (mockRatingApi fixture)
+// so the page's failure branches are deterministic and reachable on demand.
+// Assertions still go through the label registry and flow helpers.
+
+import { test, expect } from '../helpers/fixtures/ratingApiMock.js';
+import { fillTemplate } from '../labels/index.js';
+import { fillQuoteForm, submitQuote, getQuoteResult, getErrorMessage, waitForLoading, openQuotePage } from '../helpers/flows/quoteFlows.js';
+import { API_BASE_URL, TIME_ZONE as timeZone } from '../helpers/env.js';
+import { formatPremium, formatTimestamp } from '../../shared/resultFormat.js';
+
+const QUOTE = { state: 'WI', business: 'retail', revenue: '50000', coverage: 'none' };
+
+// Retries back off 50ms, 100ms, ... instead of the page's default 500ms, 1s, ...
+const FAST_RETRIES = { retryDelay: '50' };
+
+test.beforeEach(async ({ page }) => {
+  await openQuotePage(page, FAST_RETRIES);
+});
+
+/**
+ * Count rating requests the page sends (retries included)
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @returns {{ count: number }} Live counter
+ */
+function countRatingRequests(page) {
+  const counter = { count: 0 };
+  page.on('request', (request) => {
+    if (request.method() === 'POST' && request.url() === API_BASE_URL) counter.count += 1;
+  });
+  return counter;
+}
+
+// ============================================
+// SCENARIO: Successful responses
+// ============================================
+
+test.describe('Mocked API: Success', () => {
+
+  test('result shows the premium returned by the API', async ({ page, mockRatingApi }) => {
+    await mockRatingApi('success', { premium: 4321.5 });
+
+    await fillQuoteForm(page, QUOTE);
+    await submitQuote(page);
+    const result = await getQuoteResult(page);
+
+    expect(result.premium).toBe(4321.5);
+    expect(result.quoteId).toMatch(/^Q-\d+-MOCK01$/);
+  });
+
+  test('premium and timestamp render in the pinned locale and time zone', async ({ page, locale, mockRatingApi }) => {
+    const calculatedAt = '2026-01-15T23:30:00.000Z';
+    await mockRatingApi('success', { premium: 12345.6, calculatedAt });
+
+    await fillQuoteForm(page, QUOTE);
+    await submitQuote(page);
+    const result = await getQuoteResult(page);
+
+    expect(result.premiumText).toBe(formatPremium(12345.6, { locale, currency: 'USD' }));
+    expect(result.timestampText).toBe(formatTimestamp(calculatedAt, { locale, timeZone }));
+    expect(result.timestamp).toEqual(new Date(calculatedAt));
+  });
+
+  test('premium is formatted in the currency the API returns', async ({ page, locale, mockRatingApi }) => {
+    await mockRatingApi('success', { premium: 980, currency: 'EUR' });
+
+    await fillQuoteForm(page, QUOTE);
+    await submitQuote(page);
+    const result = await getQuoteResult(page);
+
+    expect(result.currency).toBe('EUR');
+    expect(result.premium).toBe(980);
+    expect(result.premiumText).toBe(formatPremium(980, { locale, currency: 'EUR' }));
+  });
+
+  test('slow response shows loading until the quote arrives', async ({ page, labels: L, mockRatingApi }) => {
+    await mockRatingApi('slow', { premium: 999, delayMs: 1500 });
+
+    await fillQuoteForm(page, QUOTE);
+    await submitQuote(page);
+
+    await expect(page.getByLabel(L.loading)).toBeVisible();
+    await expect(page.getByLabel(L.submit_quote), 'no resubmitting while loading').toBeDisabled();
+    await waitForLoading(page);
+
+    const result = await getQuoteResult(page);
+    expect(result.premium).toBe(999);
+    await expect(page.getByLabel(L.submit_quote)).toBeEnabled();
+  });
+
+  test('result omits the breakdown when the API does not itemize', async ({ page, mockRatingApi }) => {
+    await mockRatingApi('success');
+
+    await fillQuoteForm(page, QUOTE);
+    await submitQuote(page);
+    const result = await getQuoteResult(page);
+
+    expect(result.breakdown).toBeNull();
+  });
+});
+
+// ============================================
+// SCENARIO: Error responses
+// ============================================
+
+test.describe('Mocked API: Errors', () => {
+
+  test('400 shows the validation message with the API\'s reason', async ({ page, labels: L, text: T, mockRatingApi }) => {
+    await mockRatingApi('badRequest', { error: 'Invalid business type' });
+    const requests = countRatingRequests(page);
+
+    await fillQuoteForm(page, QUOTE);
+    await submitQuote(page);
+
+    expect(await getErrorMessage(page)).toContain(fillTemplate(T.error_validation, { message: 'Invalid business type' }));
+    await expect(page.getByLabel(L.quote_result)).not.toBeVisible();
+    expect(requests.count, 'validation errors are not retried').toBe(1);
+  });
+
+  test('400 prefers the API\'s human-readable message over its reason', async ({ page, text: T, mockRatingApi }) => {
+    await mockRatingApi('badRequest', { error: 'Invalid revenue', message: 'Revenue must be zero or more' });
+
+    await fillQuoteForm(page, QUOTE);
+    await submitQuote(page);
+
+    expect(await getErrorMessage(page)).toContain(fillTemplate(T.error_validation, { message: 'Revenue must be zero or more' }));
+  });
+
+  test('5xx is retried, then shows the server error', async ({ page, text: T, mockRatingApi }) => {
+    await mockRatingApi('serverError', { message: 'Rating service unavailable' });
+    const requests = countRatingRequests(page);
+
+    await fillQuoteForm(page, QUOTE);
+    await submitQuote(page);
+
+    expect(await getErrorMessage(page)).toContain(T.error_server);
+    expect(requests.count, 'first attempt + 2 retries').toBe(3);
+  });
+
+  test('a transient 5xx is retried and the quote still arrives', async ({ page, labels: L, mockRatingApi }) => {
+    await mockRatingApi('flaky', { failures: 2, premium: 1265 });
+    const requests = countRatingRequests(page);
+
+    await fillQuoteForm(page, QUOTE);
+    await submitQuote(page);
+    const result = await getQuoteResult(page);
+
+    expect(result.premium).toBe(1265);
+    expect(requests.count).toBe(3);
+    await expect(page.getByLabel(L.error_message)).not.toBeVisible();
+  });
+
+  test('malformed JSON is reported as a server error', async ({ page, labels: L, text: T, mockRatingApi }) => {
+    await mockRatingApi('malformedJson');
+
+    await fillQuoteForm(page, QUOTE);
+    await submitQuote(page);
+
+    expect(await getErrorMessage(page)).toContain(T.error_server);
+    await expect(page.getByLabel(L.loading)).not.toBeVisible();
+  });
+
+  test('connection refused is retried, then reported as a network error', async ({ page, text: T, mockRatingApi }) => {
+    await mockRatingApi('connectionRefused');
+    const requests = countRatingRequests(page);
+
+    await fillQuoteForm(page, QUOTE);
+    await submitQuote(page);
+
+    expect(await getErrorMessage(page)).toContain(T.error_network);
+    expect(requests.count).toBe(3);
+  });
+
+  test('request exceeding the page timeout shows the timeout message', async ({ page, text: T, mockRatingApi }) => {
+    await openQuotePage(page, { ...FAST_RETRIES, timeout: '1000' });
+    await mockRatingApi('timeout', { afterMs: 5000 });
+
+    await fillQuoteForm(page, QUOTE);
+    await submitQuote(page);
+
+    await waitForLoading(page);
+    expect(await getErrorMessage(page)).toContain(T.error_timeout);
+  });
+
+  test('offline browser shows the offline message', async ({ page, text: T, context }) => {
+    await fillQuoteForm(page, QUOTE);
+    await context.setOffline(true);
+    await submitQuote(page);
+
+    expect(await getErrorMessage(page)).toContain(T.error_offline);
+    await context.setOffline(false);
+  });
+
+  test('a successful retry clears the previous error', async ({ page, labels: L, mockRatingApi }) => {
+    await mockRatingApi('serverError');
+    await fillQuoteForm(page, QUOTE);
+    await submitQuote(page);
+    await getErrorMessage(page);
+
+    await mockRatingApi('success', { premium: 1150 });
+    await submitQuote(page);
+
+    await getQuoteResult(page);
+    await expect(page.getByLabel(L.error_message)).not.toBeVisible();
+  });
+});
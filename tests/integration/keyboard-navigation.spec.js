@@ -0,0 +1,76 @@
+// tests/integration/keyboard-navigation.spec.js
+// THIN APP MODEL - Keyboard-Only Quote Flows
+//
+// Strategy: The quote form is completed with Tab, arrow keys, typing and
+// Enter/Space only (tests/helpers/flows/keyboardFlows.js), and the Tab order
+// is asserted by label keys. A keyboard quote must equal the pointer quote.
+// Every other flow can run keyboard-only too: INPUT_MODE=keyboard
+
+import { test, expect } from '../helpers/fixtures/locale.js';
+import { getQuote, getQuoteResult, openQuotePage } from '../helpers/flows/quoteFlows.js';
+import { fillQuoteFormByKeyboard, submitQuoteByKeyboard, expectFocusOrder } from '../helpers/flows/keyboardFlows.js';
+import { expectedPremium } from '../helpers/golden/premiumTable.js';
+
+const WI_RETAIL = { state: 'WI', business: 'retail', revenue: '50000' };
+
+test.beforeEach(async ({ page }) => {
+  await openQuotePage(page);
+});
+
+// ============================================
+// FOCUS ORDER
+// ============================================
+
+test.describe('Keyboard: Focus Order', () => {
+
+  test('a filled V2 form is tabbed through top to bottom', async ({ page }) => {
+    await fillQuoteFormByKeyboard(page, { ...WI_RETAIL, coverage: 'none' });
+
+    // The radio group is a single Tab stop: its checked radio
+    await expectFocusOrder(page, [
+      'customer_state', 'coverage_none', 'business_type', 'annual_revenue',
+      'compare_coverage', 'submit_quote', 'lookup_quote_id',
+    ]);
+  });
+
+  test('a V1 form has no coverage stop', async ({ page }) => {
+    await fillQuoteFormByKeyboard(page, { ...WI_RETAIL, state: 'TX' });
+
+    await expectFocusOrder(page, ['customer_state', 'business_type', 'annual_revenue', 'submit_quote', 'lookup_quote_id']);
+  });
+});
+
+// ============================================
+// KEYBOARD-ONLY QUOTES
+// ============================================
+
+test.describe('Keyboard: Getting a Quote', () => {
+
+  test('arrow keys move the coverage selection', async ({ page, labels: L }) => {
+    await fillQuoteFormByKeyboard(page, { ...WI_RETAIL, coverage: 'platinum' });
+    await expect(page.getByLabel(L.coverage_platinum, { exact: true })).toBeChecked();
+
+    await fillQuoteFormByKeyboard(page, { ...WI_RETAIL, coverage: 'silver' });
+    await expect(page.getByLabel(L.coverage_silver, { exact: true })).toBeChecked();
+    await expect(page.getByLabel(L.coverage_silver, { exact: true })).toBeFocused();
+  });
+
+  test('Space on the submit button requests the quote', async ({ page, locale }) => {
+    await fillQuoteFormByKeyboard(page, { ...WI_RETAIL, coverage: 'gold' });
+    await submitQuoteByKeyboard(page, locale, { key: 'Space' });
+
+    const result = await getQuoteResult(page);
+    expect(result.premium).toBe(expectedPremium({ state: 'WI', business: 'retail', coverage: 'gold', revenue: 50000 }));
+  });
+
+  test('a keyboard quote equals the pointer quote for the same inputs', async ({ page }) => {
+    const inputs = { state: 'OH', business: 'restaurant', revenue: '100000', coverage: 'silver' };
+
+    const byKeyboard = await getQuote(page, { ...inputs, input: 'keyboard' });
+    const byPointer = await getQuote(page, { ...inputs, input: 'pointer' });
+
+    expect(byKeyboard.premium).toBe(byPointer.premium);
+    expect(byKeyboard.premiumText).toBe(byPointer.premiumText);
+    expect(byKeyboard.premium).toBe(expectedPremium({ state: 'OH', business: 'restaurant', coverage: 'silver', revenue: 100000 }));
+  });
+});
@@ -0,0 +1,89 @@
+// tests/integration/quote-history.spec.js
+// THIN APP MODEL - Recent Quotes Panel
+//
+// Strategy: Quotes are kept in localStorage and listed in the "Recent quotes"
+// region. Every test starts with empty storage (fresh browser context), reads
+// the panel through getQuoteHistory and acts on it by label registry names.
+
+import { test, expect } from '../helpers/fixtures/locale.js';
+import { fillTemplate } from '../labels/index.js';
+import { getQuote, getQuoteResult, getQuoteHistory, openQuotePage } from '../helpers/flows/quoteFlows.js';
+
+const WI_RETAIL = { state: 'WI', business: 'retail', revenue: '50000', coverage: 'none' };
+const OH_RESTAURANT = { state: 'OH', business: 'restaurant', revenue: '100000', coverage: 'silver' };
+
+test.beforeEach(async ({ page }) => {
+  await openQuotePage(page);
+});
+
+test.describe('User Flow: Quote History', () => {
+
+  test('history is hidden until the first quote', async ({ page, labels: L }) => {
+    await expect(page.getByLabel(L.quote_history)).not.toBeVisible();
+    expect(await getQuoteHistory(page)).toEqual([]);
+  });
+
+  test('each quote is listed with its inputs, newest first', async ({ page }) => {
+    const first = await getQuote(page, WI_RETAIL);
+    const second = await getQuote(page, OH_RESTAURANT);
+
+    const history = await getQuoteHistory(page);
+
+    expect(history).toHaveLength(2);
+    expect(history[0]).toMatchObject({
+      state: 'OH', business: 'restaurant', revenue: 100000, coverage: 'silver',
+      premium: second.premium, quoteId: second.quoteId,
+    });
+    expect(history[1]).toMatchObject({
+      state: 'WI', business: 'retail', revenue: 50000, coverage: 'none',
+      premium: first.premium, quoteId: first.quoteId,
+    });
+    expect(history[1].timestamp).toEqual(first.timestamp);
+  });
+
+  test('history survives a reload', async ({ page }) => {
+    const quote = await getQuote(page, WI_RETAIL);
+
+    await page.reload();
+
+    const history = await getQuoteHistory(page);
+    expect(history.map((entry) => entry.quoteId)).toEqual([quote.quoteId]);
+  });
+
+  test('restore puts the inputs back and shows the saved quote', async ({ page, labels: L }) => {
+    const first = await getQuote(page, OH_RESTAURANT);
+    await getQuote(page, WI_RETAIL);
+
+    await page.getByRole('button', { name: fillTemplate(L.restore_quote, { quoteId: first.quoteId }) }).click();
+
+    await expect(page.getByLabel(L.customer_state)).toHaveValue('OH');
+    await expect(page.getByLabel(L.business_type)).toHaveValue('restaurant');
+    await expect(page.getByLabel(L.annual_revenue)).toHaveValue('100000');
+    await expect(page.getByLabel(L.coverage_silver)).toBeChecked();
+
+    const restored = await getQuoteResult(page);
+    expect(restored.quoteId).toBe(first.quoteId);
+    expect(restored.premium).toBe(first.premium);
+    expect(restored.breakdown).toEqual(first.breakdown);
+  });
+
+  test('clear empties the history for good', async ({ page, labels: L }) => {
+    await getQuote(page, WI_RETAIL);
+
+    await page.getByLabel(L.clear_quote_history).click();
+
+    await expect(page.getByLabel(L.quote_history)).not.toBeVisible();
+    await expect(page.getByLabel(L.customer_state)).toBeFocused();
+    await page.reload();
+    expect(await getQuoteHistory(page)).toEqual([]);
+  });
+
+  test('unreadable stored history is ignored', async ({ page }) => {
+    await page.evaluate(() => localStorage.setItem('quoteHistory', '{not json'));
+    await page.reload();
+
+    const quote = await getQuote(page, WI_RETAIL);
+
+    expect((await getQuoteHistory(page)).map((entry) => entry.quoteId)).toEqual([quote.quoteId]);
+  });
+});
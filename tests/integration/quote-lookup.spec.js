@@ -0,0 +1,72 @@
+// tests/integration/quote-lookup.spec.js
+// THIN APP MODEL - Looking Up a Saved Quote
+//
+// Strategy: Quotes are created through the page, then the page is reset
+// (reload + empty localStorage) so a lookup can only succeed by asking the
+// rating service. The lookup form is driven by label registry names only.
+
+import { test, expect } from '../helpers/fixtures/locale.js';
+import { fillTemplate } from '../labels/index.js';
+import { getQuote, lookUpQuote, openQuotePage } from '../helpers/flows/quoteFlows.js';
+
+const OH_RESTAURANT = { state: 'OH', business: 'restaurant', revenue: '100000', coverage: 'silver' };
+
+test.beforeEach(async ({ page }) => {
+  await openQuotePage(page);
+});
+
+/**
+ * Forget everything the page knows locally about earlier quotes
+ * @param {import('@playwright/test').Page} page
+ */
+async function resetPage(page) {
+  await page.evaluate(() => localStorage.clear());
+  await page.reload();
+}
+
+test.describe('User Flow: Quote Lookup', () => {
+
+  test('a saved quote comes back with its inputs and premium', async ({ page, labels: L }) => {
+    const created = await getQuote(page, OH_RESTAURANT);
+    await resetPage(page);
+
+    const found = await lookUpQuote(page, created.quoteId);
+
+    expect(found).toEqual(created);
+    await expect(page.getByLabel(L.customer_state)).toHaveValue('OH');
+    await expect(page.getByLabel(L.business_type)).toHaveValue('restaurant');
+    await expect(page.getByLabel(L.annual_revenue)).toHaveValue('100000');
+    await expect(page.getByLabel(L.coverage_silver)).toBeChecked();
+  });
+
+  test('an unknown ID is explained at the lookup field', async ({ page, labels: L, text: T }) => {
+    await page.getByLabel(L.lookup_quote_id).fill('Q-0-NOPE00');
+    await page.getByLabel(L.look_up_quote).click();
+
+    const field = page.getByLabel(L.lookup_quote_id);
+    await expect(field).toHaveAttribute('aria-invalid', 'true');
+    await expect(field).toHaveAccessibleDescription(fillTemplate(T.lookup_not_found, { quoteId: 'Q-0-NOPE00' }));
+    await expect(page.getByLabel(L.quote_result)).not.toBeVisible();
+    await expect(page.getByLabel(L.error_message)).not.toBeVisible();
+  });
+
+  test('editing the ID clears the not-found message', async ({ page, labels: L }) => {
+    await page.getByLabel(L.lookup_quote_id).fill('Q-0-NOPE00');
+    await page.getByLabel(L.look_up_quote).click();
+    await expect(page.getByLabel(L.lookup_quote_id)).toHaveAttribute('aria-invalid', 'true');
+
+    await page.getByLabel(L.lookup_quote_id).fill('Q-0-NOPE01');
+
+    await expect(page.getByLabel(L.lookup_quote_id)).not.toHaveAttribute('aria-invalid', 'true');
+  });
+
+  test('lookup needs an ID', async ({ page, labels: L }) => {
+    await expect(page.getByLabel(L.look_up_quote)).toBeDisabled();
+
+    await page.getByLabel(L.lookup_quote_id).fill('   ');
+    await expect(page.getByLabel(L.look_up_quote)).toBeDisabled();
+
+    await page.getByLabel(L.lookup_quote_id).fill('Q-1');
+    await expect(page.getByLabel(L.look_up_quote)).toBeEnabled();
+  });
+});
@@ -0,0 +1,26 @@
+// tests/integration/scenarios.spec.js
+// THIN APP MODEL - Scenario Files
+//
+// Strategy: Every scenario in tests/scenarios/*.json becomes one test here,
+// run by tests/helpers/scenarios/scenarioRunner.js. Files are validated when
+// this spec loads, so an unknown label key or flow name fails the run (and
+// npx playwright test --list) before any browser starts.
+// Scenarios name label keys, not text, so they run in every ui-<locale> project.
+
+import { test } from '../helpers/fixtures/locale.js';
+import { openQuotePage } from '../helpers/flows/quoteFlows.js';
+import { loadScenarioFiles, runScenario } from '../helpers/scenarios/scenarioRunner.js';
+
+test.beforeEach(async ({ page }) => {
+  await openQuotePage(page);
+});
+
+for (const { title, scenarios } of loadScenarioFiles()) {
+  test.describe(title, () => {
+    for (const scenario of scenarios) {
+      test(scenario.name, async ({ page }) => {
+        await runScenario(page, scenario);
+      });
+    }
+  });
+}
@@ -4,24 +4,50 @@
 // Strategy: Use natural, screen-reader-friendly aria-labels as selectors via label registry
 // No test-specific IDs - everything is generic and stable
 // Tests describe user flows, not implementation details
-// Same tests work across all languages by changing LOCALE env var
-
-import { test, expect } from '@playwright/test';
-import { getLabels } from '../labels/index.js';
-import { fillQuoteForm, submitQuote, getQuoteResult, getQuote } from '../helpers/flows/quoteFlows.js';
-
-// Get labels for current locale (from env or default to English)
-const L = getLabels(process.env.LOCALE || 'en');
-
-// Support local file testing or remote URL
-const FRONTEND_URL = process.env.FRONTEND_URL || 'file://' + process.cwd() + '/index.html';
-
-// V2 states have coverage options, V1 states don't
-const V2_STATES = ['WI', 'OH', 'IL', 'NV'];
-const V1_STATES = ['TX', 'NY', 'CA'];
+// Same tests run in every language: one ui-<locale> project per registry locale
+// (openQuotePage opens the page with ?lang=<project locale>, see tests/helpers/fixtures/locale.js)
+// Happy paths drive the form by pointer or by keyboard alone: INPUT_MODE=keyboard
+
+import { test, expect } from '../helpers/fixtures/locale.js';
+import { fillTemplate } from '../labels/index.js';
+import { fillQuoteForm, submitQuote, getQuoteResult, getQuote, getFieldErrors, compareCoverage, openQuotePage } from '../helpers/flows/quoteFlows.js';
+import { INPUT_MODE as input } from '../helpers/env.js';
+import { PRODUCT_RULES, V2_STATES, V1_STATES, BUSINESS_TYPES, COVERAGE_TIERS, localizeName } from '../../shared/productRules.js';
+import { formatPremium } from '../../shared/resultFormat.js';
+import { parseLocalizedCurrency } from '../helpers/intl/localeParsing.js';
+import { expectedPremium } from '../helpers/golden/premiumTable.js';
+
+// Premiums render through Intl for the page locale - expected text is built the same way
+const moneyIn = (locale) => ({ locale, currency: PRODUCT_RULES.currency });
+
+/**
+ * Assert text is a premium formatted for the page locale ('$1,150.00', '1150,00 US$')
+ * @param {string} text - Rendered premium
+ * @param {string} locale - Page locale
+ */
+function expectLocalizedPremium(text, locale) {
+  const { amount } = parseLocalizedCurrency(text, locale);
+  expect(text).toBe(formatPremium(amount, moneyIn(locale)));
+}
+
+/**
+ * Read the premium on screen as a number, parsed for the page locale
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {Object<string, string>} L - Labels for the page locale
+ * @param {string} locale - Page locale
+ * @returns {Promise<number>} Premium amount
+ */
+async function readPremium(page, L, locale) {
+  const text = await page.getByLabel(L.premium_amount).textContent();
+  expectLocalizedPremium(text, locale);
+  return parseLocalizedCurrency(text, locale).amount;
+}
+
+// V2 states have coverage options, V1 states don't (see shared/productRules.js)
 
 test.beforeEach(async ({ page }) => {
-  await page.goto(FRONTEND_URL);
+  // Page is wired to the same rating endpoint as the API tests (API_BASE_URL)
+  await openQuotePage(page);
 });
 
 // ============================================
@@ -30,11 +56,11 @@ test.beforeEach(async ({ page }) => {
 
 test.describe('User Flow: Form Validation', () => {
   
-  test('new user sees disabled submit button', async ({ page }) => {
+  test('new user sees disabled submit button', async ({ page, labels: L }) => {
     await expect(page.getByLabel(L.submit_quote)).toBeDisabled();
   });
 
-  test('user in V1 state can submit without coverage selection', async ({ page }) => {
+  test('user in V1 state can submit without coverage selection', async ({ page, labels: L }) => {
     await page.getByLabel(L.customer_state).selectOption('TX');
     await page.getByLabel(L.business_type).selectOption('retail');
     await page.getByLabel(L.annual_revenue).fill('50000');
@@ -43,7 +69,7 @@ test.describe('User Flow: Form Validation', () => {
     await expect(page.getByLabel(L.submit_quote)).toBeEnabled();
   });
 
-  test('user in V2 state with all fields can submit', async ({ page }) => {
+  test('user in V2 state with all fields can submit', async ({ page, labels: L }) => {
     await page.getByLabel(L.customer_state).selectOption('WI');
     await page.getByLabel(L.business_type).selectOption('retail');
     await page.getByLabel(L.annual_revenue).fill('50000');
@@ -52,19 +78,19 @@ test.describe('User Flow: Form Validation', () => {
     await expect(page.getByLabel(L.submit_quote)).toBeEnabled();
   });
 
-  test('V1 state shows unavailable coverage notice', async ({ page }) => {
+  test('V1 state shows unavailable coverage notice', async ({ page, labels: L }) => {
     await page.getByLabel(L.customer_state).selectOption('TX');
     
     await expect(page.getByLabel(L.coverage_unavailable_notice)).toBeVisible();
   });
 
-  test('V2 state shows coverage options', async ({ page }) => {
+  test('V2 state shows coverage options', async ({ page, labels: L }) => {
     await page.getByLabel(L.customer_state).selectOption('WI');
     
     await expect(page.getByRole('radiogroup', { name: L.coverage_options })).toBeVisible();
   });
 
-  test('switching from V2 to V1 hides coverage', async ({ page }) => {
+  test('switching from V2 to V1 hides coverage', async ({ page, labels: L }) => {
     await page.getByLabel(L.customer_state).selectOption('WI');
     await expect(page.getByRole('radiogroup', { name: L.coverage_options })).toBeVisible();
     
@@ -73,23 +99,80 @@ test.describe('User Flow: Form Validation', () => {
   });
 });
 
+// ============================================
+// USER FLOW: Inline Field Errors
+// ============================================
+
+test.describe('User Flow: Inline Field Errors', () => {
+
+  test.beforeEach(async ({ page, labels: L }) => {
+    await page.getByLabel(L.customer_state).selectOption('TX');
+    await page.getByLabel(L.business_type).selectOption('retail');
+  });
+
+  test('negative revenue explains why submit is disabled', async ({ page, labels: L, text: T }) => {
+    await page.getByLabel(L.annual_revenue).fill('-5');
+    
+    expect(await getFieldErrors(page)).toEqual({ revenue: T.field_error_revenue_negative });
+    await expect(page.getByLabel(L.annual_revenue)).toHaveAttribute('aria-invalid', 'true');
+    await expect(page.getByLabel(L.annual_revenue)).toHaveAccessibleDescription(T.field_error_revenue_negative);
+    await expect(page.getByLabel(L.submit_quote)).toBeDisabled();
+  });
+
+  test('fractional revenue asks for whole dollars', async ({ page, labels: L, text: T }) => {
+    await page.getByLabel(L.annual_revenue).fill('50000.5');
+    
+    expect(await getFieldErrors(page)).toEqual({ revenue: T.field_error_revenue_integer });
+  });
+
+  test('revenue above the limit names the limit', async ({ page, labels: L, text: T, locale }) => {
+    await page.getByLabel(L.annual_revenue).fill('1e99');
+    
+    const max = formatPremium(PRODUCT_RULES.maxRevenue, moneyIn(locale));
+    expect(await getFieldErrors(page)).toEqual({ revenue: fillTemplate(T.field_error_revenue_max, { max }) });
+    await expect(page.getByLabel(L.submit_quote)).toBeDisabled();
+  });
+
+  test('leaving required fields empty marks each of them', async ({ page, labels: L, text: T }) => {
+    await page.getByLabel(L.customer_state).selectOption('');
+    await page.getByLabel(L.business_type).selectOption('');
+    await page.getByLabel(L.annual_revenue).focus();
+    await page.getByLabel(L.annual_revenue).blur();
+    
+    expect(await getFieldErrors(page)).toEqual({
+      state: T.field_error_state_required,
+      business: T.field_error_business_required,
+      revenue: T.field_error_revenue_required,
+    });
+  });
+
+  test('correcting the value clears the error', async ({ page, labels: L }) => {
+    await page.getByLabel(L.annual_revenue).fill('-5');
+    await page.getByLabel(L.annual_revenue).fill('50000');
+    
+    expect(await getFieldErrors(page)).toEqual({});
+    await expect(page.getByLabel(L.annual_revenue)).not.toHaveAttribute('aria-invalid', 'true');
+    await expect(page.getByLabel(L.submit_quote)).toBeEnabled();
+  });
+});
+
 // ============================================
 // USER FLOW: Get Quote - Happy Paths
 // ============================================
 
 test.describe('User Flow: Getting a Quote', () => {
   
-  test('Wisconsin retail business gets quote with no extra coverage', async ({ page }) => {
+  test('Wisconsin retail business gets quote with no extra coverage', async ({ page, locale }) => {
     const result = await getQuote(page, {
       state: 'WI',
       business: 'retail',
       revenue: '50000',
-      coverage: 'none'
+      coverage: 'none',
+      input
     });
     
-    expect(result.premiumText).toMatch(/^\$[\d,]+\.\d{2}$/);
-    expect(result.premium).toBeGreaterThan(1000);
-    expect(result.premium).toBeLessThan(1300);
+    expect(result.premiumText).toBe(formatPremium(result.premium, moneyIn(locale)));
+    expect(result.premium).toBe(expectedPremium({ state: 'WI', business: 'retail', revenue: 50000 }));
   });
 
   test('Ohio restaurant with silver coverage', async ({ page }) => {
@@ -97,11 +180,11 @@ test.describe('User Flow: Getting a Quote', () => {
       state: 'OH',
       business: 'restaurant',
       revenue: '100000',
-      coverage: 'silver'
+      coverage: 'silver',
+      input
     });
     
-    expect(result.premium).toBeGreaterThan(2500);
-    expect(result.premium).toBeLessThan(3000);
+    expect(result.premium).toBe(expectedPremium({ state: 'OH', business: 'restaurant', coverage: 'silver', revenue: 100000 }));
   });
 
   test('Illinois professional with gold coverage', async ({ page }) => {
@@ -109,10 +192,11 @@ test.describe('User Flow: Getting a Quote', () => {
       state: 'IL',
       business: 'professional',
       revenue: '200000',
-      coverage: 'gold'
+      coverage: 'gold',
+      input
     });
     
-    expect(result.premium).toBeGreaterThan(4000);
+    expect(result.premium).toBe(expectedPremium({ state: 'IL', business: 'professional', coverage: 'gold', revenue: 200000 }));
   });
 
   test('Nevada manufacturing with platinum coverage', async ({ page }) => {
@@ -120,82 +204,140 @@ test.describe('User Flow: Getting a Quote', () => {
       state: 'NV',
       business: 'manufacturing',
       revenue: '75000',
-      coverage: 'platinum'
+      coverage: 'platinum',
+      input
     });
     
-    expect(result.premium).toBeGreaterThan(3000);
+    expect(result.premium).toBe(expectedPremium({ state: 'NV', business: 'manufacturing', coverage: 'platinum', revenue: 75000 }));
   });
 
-  test('all V2 states can get quotes', async ({ page }) => {
+  test('all V2 states can get quotes', async ({ page, locale }) => {
     for (const state of V2_STATES) {
-      await page.getByLabel(L.customer_state).selectOption(state);
-      await page.getByLabel(L.business_type).selectOption('retail');
-      await page.getByLabel(L.annual_revenue).fill('50000');
-      await page.getByLabel(L.coverage_none).check();
-      await page.getByLabel(L.submit_quote).click();
+      const result = await getQuote(page, { state, business: 'retail', revenue: '50000', coverage: 'none', input });
       
-      await expect(page.getByLabel(L.quote_result)).toBeVisible();
-      
-      const premium = await page.getByLabel(L.premium_amount).textContent();
-      expect(premium).toMatch(/^\$[\d,]+\.\d{2}$/);
+      expectLocalizedPremium(result.premiumText, locale);
     }
   });
 
   test('all business types can get quotes', async ({ page }) => {
-    const businesses = ['retail', 'restaurant', 'professional', 'manufacturing'];
-    
-    for (const business of businesses) {
-      await page.getByLabel(L.customer_state).selectOption('WI');
-      await page.getByLabel(L.business_type).selectOption(business);
-      await page.getByLabel(L.annual_revenue).fill('50000');
-      await page.getByLabel(L.coverage_none).check();
-      await page.getByLabel(L.submit_quote).click();
-      
-      await expect(page.getByLabel(L.quote_result)).toBeVisible();
+    for (const business of BUSINESS_TYPES) {
+      const result = await getQuote(page, { state: 'WI', business, revenue: '50000', coverage: 'none', input });
       
-      const premium = await page.getByLabel(L.premium_amount).textContent();
-      const amount = parseFloat(premium.replace(/[$,]/g, ''));
-      expect(amount).toBeGreaterThan(0);
+      expect(result.premium).toBeGreaterThan(0);
     }
   });
 
-  test('all coverage levels work', async ({ page }) => {
-    const coverages = [
-      { label: L.coverage_none, value: 'none' },
-      { label: L.coverage_silver, value: 'silver' },
-      { label: L.coverage_gold, value: 'gold' },
-      { label: L.coverage_platinum, value: 'platinum' }
-    ];
+  test('all coverage levels work', async ({ page, locale }) => {
+    const premiums = [];
     
-    for (const coverage of coverages) {
-      await page.getByLabel(L.customer_state).selectOption('WI');
-      await page.getByLabel(L.business_type).selectOption('retail');
-      await page.getByLabel(L.annual_revenue).fill('50000');
-      await page.getByLabel(coverage.label).check();
-      await page.getByLabel(L.submit_quote).click();
+    for (const coverage of COVERAGE_TIERS) {
+      const result = await getQuote(page, {
+        state: 'WI',
+        business: 'retail',
+        revenue: '50000',
+        coverage,
+        input
+      });
       
-      await expect(page.getByLabel(L.quote_result)).toBeVisible();
+      expect(result.premiumText).toBe(formatPremium(result.premium, moneyIn(locale)));
+      premiums.push(result.premium);
+    }
+    
+    // Each tier is priced - richer coverage always costs more
+    for (let i = 1; i < premiums.length; i++) {
+      expect(premiums[i]).toBeGreaterThan(premiums[i - 1]);
+    }
+  });
+
+  test('V1 states can get quotes without selecting coverage', async ({ page, locale }) => {
+    for (const state of V1_STATES) {
+      const result = await getQuote(page, { state, business: 'retail', revenue: '50000', input });
       
-      const premium = await page.getByLabel(L.premium_amount).textContent();
-      expect(premium).toMatch(/^\$[\d,]+\.\d{2}$/);
+      expectLocalizedPremium(result.premiumText, locale);
     }
   });
+});
+
+// ============================================
+// USER FLOW: Coverage Comparison
+// ============================================
 
-  test('V1 states can get quotes without selecting coverage', async ({ page }) => {
-    const v1States = ['TX', 'NY', 'CA'];
+test.describe('User Flow: Comparing Coverage', () => {
+  const WI_RETAIL = { state: 'WI', business: 'retail', revenue: '50000' };
+  const tierName = (value, locale) => localizeName(PRODUCT_RULES.coverageTiers.find((tier) => tier.value === value).name, locale);
+
+  test('compare rates every tier at once, cheapest first', async ({ page }) => {
+    const premiums = await compareCoverage(page, WI_RETAIL);
     
-    for (const state of v1States) {
-      await page.getByLabel(L.customer_state).selectOption(state);
-      await page.getByLabel(L.business_type).selectOption('retail');
-      await page.getByLabel(L.annual_revenue).fill('50000');
-      await page.getByLabel(L.submit_quote).click();
-      
-      await expect(page.getByLabel(L.quote_result)).toBeVisible();
-      
-      const premium = await page.getByLabel(L.premium_amount).textContent();
-      expect(premium).toMatch(/^\$[\d,]+\.\d{2}$/);
+    expect(Object.keys(premiums)).toEqual(COVERAGE_TIERS);
+    const amounts = Object.values(premiums);
+    for (let i = 1; i < amounts.length; i++) {
+      expect(amounts[i]).toBeGreaterThan(amounts[i - 1]);
     }
   });
+
+  test('compared premiums match individual quotes', async ({ page }) => {
+    const premiums = await compareCoverage(page, WI_RETAIL);
+    
+    for (const coverage of ['none', 'platinum']) {
+      const result = await getQuote(page, { ...WI_RETAIL, coverage });
+      expect(result.premium).toBe(premiums[coverage]);
+    }
+  });
+
+  test('choosing a tier selects it and shows its quote', async ({ page, labels: L, locale }) => {
+    const premiums = await compareCoverage(page, WI_RETAIL);
+    
+    await page.getByRole('button', { name: fillTemplate(L.choose_coverage_tier, { tier: tierName('gold', locale) }) }).click();
+    
+    await expect(page.getByLabel(L.coverage_gold)).toBeChecked();
+    await expect(page.getByLabel(L.submit_quote)).toBeEnabled();
+    const result = await getQuoteResult(page);
+    expect(result.premium).toBe(premiums.gold);
+    expect(result.quoteId).toMatch(/^Q-/);
+  });
+
+  test('compare is only offered where coverage tiers exist', async ({ page, labels: L }) => {
+    await page.getByLabel(L.customer_state).selectOption(V1_STATES[0]);
+    await expect(page.getByLabel(L.compare_coverage)).toBeHidden();
+    
+    await page.getByLabel(L.customer_state).selectOption(V2_STATES[0]);
+    await expect(page.getByLabel(L.compare_coverage)).toBeVisible();
+    await expect(page.getByLabel(L.compare_coverage)).toBeDisabled();
+  });
+
+  test('changing an input clears a stale comparison', async ({ page, labels: L }) => {
+    await compareCoverage(page, WI_RETAIL);
+    
+    await page.getByLabel(L.annual_revenue).fill('75000');
+    
+    await expect(page.getByLabel(L.coverage_comparison)).toBeHidden();
+  });
+});
+
+// ============================================
+// PRODUCT RULES: Every State × Every Business
+// Generated from shared/productRules.js - adding a state adds its tests
+// ============================================
+
+test.describe('Product Rules: Quote Matrix', () => {
+  for (const state of PRODUCT_RULES.states) {
+    for (const business of PRODUCT_RULES.businessTypes) {
+      test(`${state.code} ${business.value} business gets a quote`, async ({ page }) => {
+        const result = await getQuote(page, {
+          state: state.code,
+          business: business.value,
+          revenue: '50000',
+          // V1 states have no coverage choice
+          coverage: state.version === 'v2' ? 'none' : undefined
+        });
+        
+        expect(result.premium).toBeGreaterThan(0);
+        expect(result.breakdown.stateFactor).toBe(state.factor);
+        expect(result.breakdown.businessFactor).toBe(business.factor);
+      });
+    }
+  }
 });
 
 // ============================================
@@ -204,7 +346,7 @@ test.describe('User Flow: Getting a Quote', () => {
 
 test.describe('User Flow: Edge Cases', () => {
   
-  test('zero revenue produces valid quote', async ({ page }) => {
+  test('zero revenue produces valid quote', async ({ page, locale }) => {
     const result = await getQuote(page, {
       state: 'WI',
       business: 'retail',
@@ -212,7 +354,7 @@ test.describe('User Flow: Edge Cases', () => {
       coverage: 'none'
     });
     
-    expect(result.premiumText).toBe('$0.00');
+    expect(result.premiumText).toBe(formatPremium(0, moneyIn(locale)));
   });
 
   test('very high revenue produces valid quote', async ({ page }) => {
@@ -254,10 +396,31 @@ test.describe('User Flow: Quote Details Display', () => {
     });
     
     expect(result.quoteId).toMatch(/^Q-/);
-    expect(result.timestamp).toBeTruthy();
+    expect(result.currency).toBe('USD');
+    expect(result.timestamp).toBeInstanceOf(Date);
+    expect(Math.abs(Date.now() - result.timestamp.getTime())).toBeLessThan(60000);
+  });
+
+  test('quote shows itemized premium breakdown', async ({ page }) => {
+    const result = await getQuote(page, {
+      state: 'OH',
+      business: 'restaurant',
+      revenue: '100000',
+      coverage: 'silver'
+    });
+    
+    expect(result.breakdown).toEqual({
+      base: 2000,
+      stateFactor: 1.1,
+      businessFactor: 1.2,
+      coverageFactor: 1.1,
+    });
+    
+    const { base, stateFactor, businessFactor, coverageFactor } = result.breakdown;
+    expect(result.premium).toBeCloseTo(base * stateFactor * businessFactor * coverageFactor, 2);
   });
 
-  test('premium displays with dollar sign and decimals', async ({ page }) => {
+  test('premium displays in the locale\'s currency format', async ({ page, locale }) => {
     const result = await getQuote(page, {
       state: 'WI',
       business: 'retail',
@@ -265,7 +428,8 @@ test.describe('User Flow: Quote Details Display', () => {
       coverage: 'none'
     });
     
-    expect(result.premiumText).toMatch(/^\$[\d,]+\.\d{2}$/);
+    expect(result.currency).toBe(PRODUCT_RULES.currency);
+    expect(result.premiumText).toBe(formatPremium(result.premium, moneyIn(locale)));
   });
 });
 
@@ -275,7 +439,7 @@ test.describe('User Flow: Quote Details Display', () => {
 
 test.describe('User Flow: UI Feedback', () => {
   
-  test('loading indicator shows during quote calculation', async ({ page }) => {
+  test('loading indicator shows during quote calculation', async ({ page, labels: L }) => {
     await page.getByLabel(L.customer_state).selectOption('WI');
     await page.getByLabel(L.business_type).selectOption('retail');
     await page.getByLabel(L.annual_revenue).fill('50000');
@@ -285,7 +449,7 @@ test.describe('User Flow: UI Feedback', () => {
     await expect(page.getByLabel(L.loading)).toBeVisible();
   });
 
-  test('loading hides when quote appears', async ({ page }) => {
+  test('loading hides when quote appears', async ({ page, labels: L }) => {
     await page.getByLabel(L.customer_state).selectOption('WI');
     await page.getByLabel(L.business_type).selectOption('retail');
     await page.getByLabel(L.annual_revenue).fill('50000');
@@ -296,7 +460,7 @@ test.describe('User Flow: UI Feedback', () => {
     await expect(page.getByLabel(L.loading)).not.toBeVisible();
   });
 
-  test('new quote replaces old quote', async ({ page }) => {
+  test('new quote replaces old quote', async ({ page, labels: L }) => {
     // First quote
     await page.getByLabel(L.customer_state).selectOption('WI');
     await page.getByLabel(L.business_type).selectOption('retail');
@@ -316,7 +480,7 @@ test.describe('User Flow: UI Feedback', () => {
     expect(firstQuoteId).not.toBe(secondQuoteId);
   });
 
-  test('user can get multiple quotes in succession', async ({ page }) => {
+  test('user can get multiple quotes in succession', async ({ page, labels: L, locale }) => {
     for (let i = 0; i < 3; i++) {
       await page.getByLabel(L.customer_state).selectOption('WI');
       await page.getByLabel(L.business_type).selectOption('retail');
@@ -326,7 +490,7 @@ test.describe('User Flow: UI Feedback', () => {
       await expect(page.getByLabel(L.quote_result)).toBeVisible();
       
       const premium = await page.getByLabel(L.premium_amount).textContent();
-      expect(premium).toMatch(/^\$[\d,]+\.\d{2}$/);
+      expectLocalizedPremium(premium, locale);
     }
   });
 });
@@ -337,7 +501,7 @@ test.describe('User Flow: UI Feedback', () => {
 
 test.describe('Business Rules: Premium Calculations', () => {
   
-  test('higher revenue means higher premium', async ({ page }) => {
+  test('higher revenue means higher premium', async ({ page, labels: L, locale }) => {
     // 50K revenue
     await page.getByLabel(L.customer_state).selectOption('WI');
     await page.getByLabel(L.business_type).selectOption('retail');
@@ -346,19 +510,19 @@ test.describe('Business Rules: Premium Calculations', () => {
     await page.getByLabel(L.submit_quote).click();
     await expect(page.getByLabel(L.quote_result)).toBeVisible();
     
-    const premium50k = parseFloat((await page.getByLabel(L.premium_amount).textContent()).replace(/[$,]/g, ''));
+    const premium50k = await readPremium(page, L, locale);
     
     // 100K revenue
     await page.getByLabel(L.annual_revenue).fill('100000');
     await page.getByLabel(L.submit_quote).click();
     await expect(page.getByLabel(L.quote_result)).toBeVisible();
     
-    const premium100k = parseFloat((await page.getByLabel(L.premium_amount).textContent()).replace(/[$,]/g, ''));
+    const premium100k = await readPremium(page, L, locale);
     
     expect(premium100k).toBeGreaterThan(premium50k);
   });
 
-  test('manufacturing costs more than professional services', async ({ page }) => {
+  test('manufacturing costs more than professional services', async ({ page, labels: L, locale }) => {
     // Manufacturing
     await page.getByLabel(L.customer_state).selectOption('WI');
     await page.getByLabel(L.business_type).selectOption('manufacturing');
@@ -367,19 +531,19 @@ test.describe('Business Rules: Premium Calculations', () => {
     await page.getByLabel(L.submit_quote).click();
     await expect(page.getByLabel(L.quote_result)).toBeVisible();
     
-    const mfgPremium = parseFloat((await page.getByLabel(L.premium_amount).textContent()).replace(/[$,]/g, ''));
+    const mfgPremium = await readPremium(page, L, locale);
     
     // Professional
     await page.getByLabel(L.business_type).selectOption('professional');
     await page.getByLabel(L.submit_quote).click();
     await expect(page.getByLabel(L.quote_result)).toBeVisible();
     
-    const profPremium = parseFloat((await page.getByLabel(L.premium_amount).textContent()).replace(/[$,]/g, ''));
+    const profPremium = await readPremium(page, L, locale);
     
     expect(mfgPremium).toBeGreaterThan(profPremium);
   });
 
-  test('each quote gets unique ID', async ({ page }) => {
+  test('each quote gets unique ID', async ({ page, labels: L }) => {
     const quoteIds = [];
     
     for (let i = 0; i < 3; i++) {
@@ -398,7 +562,7 @@ test.describe('Business Rules: Premium Calculations', () => {
     expect(uniqueIds.size).toBe(3);
   });
 
-  test('same inputs produce consistent premium', async ({ page }) => {
+  test('same inputs produce consistent premium', async ({ page, labels: L, locale }) => {
     const premiums = [];
     
     for (let i = 0; i < 2; i++) {
@@ -409,7 +573,7 @@ test.describe('Business Rules: Premium Calculations', () => {
       await page.getByLabel(L.submit_quote).click();
       await expect(page.getByLabel(L.quote_result)).toBeVisible();
       
-      const premium = parseFloat((await page.getByLabel(L.premium_amount).textContent()).replace(/[$,]/g, ''));
+      const premium = await readPremium(page, L, locale);
       premiums.push(premium);
     }
     
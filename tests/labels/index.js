@@ -1,5 +1,5 @@
 /**
- * @fileoverview Label Registry - Central accessor for all locale labels
+ * @fileoverview Label Registry - Central accessor for all locale labels in tests
  * 
  * THE THIN APP MODEL APPROACH:
  * Instead of test-specific IDs (data-testid), we use generic accessibility labels
@@ -14,11 +14,19 @@
  * - Tests use semantic keys: page.getByLabel(L.submit_quote)
  * - Same tests work across all languages by changing locale
  * 
+ * THE PAGE USES THE SAME MAPS:
+ * - The maps and their lookups (getLabels, getText, fillTemplate, fallback chains)
+ *   live in shared/labels/, which index.html imports; this module re-exports them
+ * - index.html renders data-label="<key>" as aria-label and data-text="<key>" as
+ *   visible copy (?lang=es selects the locale)
+ * - getText(locale) holds visible copy and templates such as 'Quote ID: {quoteId}'
+ * - Only tests need what is defined here: reverse lookups and translation validation
+ * 
  * ADDING NEW LABELS:
  * 1. Choose a semantic key (lowercase_snake_case): new_feature
- * 2. Add to en.js with JSDoc: new_feature: 'New feature'
- * 3. Add to all other locale files (es.js, etc.)
- * 4. Use in HTML: <element aria-label="New feature">
+ * 2. Add to shared/labels/en.js with JSDoc: new_feature: 'New feature'
+ * 3. Add to all other language files (es.js, etc.) - regional overlays only if they differ
+ * 4. Use in HTML: <element data-label="new_feature">
  * 5. Use in tests: page.getByLabel(L.new_feature)
  * 
  * @example Basic usage
@@ -42,71 +50,198 @@
  * });
  */
 
-import { enLabels } from './en.js';
-import { esLabels } from './es.js';
+import { LOCALE_MAPS, SOURCE_LOCALE, resolveLocaleChain, getLabels } from '../../shared/labels/index.js';
+
+export { resolveLocaleChain, getLabels, getText, fillTemplate, getSupportedLocales } from '../../shared/labels/index.js';
 
 /**
- * Get accessibility labels for the specified locale
+ * Reverse of fillTemplate - extract placeholder values from rendered text
  * 
- * @param {string} [locale='en'] - Language code ('en', 'es', etc.)
- * @returns {Object} Label mappings for the locale
+ * @param {string} template - Template (e.g., 'Quote ID: {quoteId}')
+ * @param {string} text - Rendered text
+ * @returns {Object<string, string>|null} Placeholder values, or null if the text doesn't match
  * 
  * @example
- * const L = getLabels('en');
- * await page.getByLabel(L.submit_quote).click();
+ * matchTemplate('ID de cotización: {quoteId}', 'ID de cotización: Q-1-ABC'); // { quoteId: 'Q-1-ABC' }
  */
-export function getLabels(locale = 'en') {
-  switch (locale.toLowerCase()) {
-    case 'en':
-      return enLabels;
-    
-    case 'es':
-      return esLabels;
-    
-    default:
-      console.warn(`Unknown locale "${locale}", falling back to English`);
-      return enLabels;
+export function matchTemplate(template, text) {
+  const names = [];
+  const pattern = template
+    .split(/\{(\w+)\}/)
+    .map((part, i) => {
+      if (i % 2 === 1) {
+        names.push(part);
+        return '(.*?)';
+      }
+      return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  
+  const match = new RegExp(`^\\s*${pattern}\\s*$`, 's').exec(text);
+  if (!match) {
+    return null;
   }
+  
+  return Object.fromEntries(names.map((name, i) => [name, match[i + 1]]));
 }
 
 /**
- * Get list of supported locales
- * 
- * @returns {string[]} Array of supported locale codes
- * 
+ * Reverse of getLabels - find the label key an accessible name comes from
+ * Exact names win over templated ones ('Choose {tier} tier'). When several
+ * templates match, the most specific one wins: the most literal characters.
+ *
+ * @param {string} name - Accessible name read from the page
+ * @param {string} [locale='en'] - Locale tag
+ * @param {Object<string, string>} [labels=getLabels(locale)] - Label map to search
+ * @returns {string|null} Label key, or null if no label produces the name
+ *
  * @example
- * const locales = getSupportedLocales(); // ['en', 'es']
- * for (const locale of locales) {
- *   test(`works in ${locale}`, async ({ page }) => {
- *     const L = getLabels(locale);
- *     // ... test code
- *   });
- * }
+ * findLabelKey('Submit quote');           // 'submit_quote'
+ * findLabelKey('Elegir nivel Oro', 'es'); // 'choose_coverage_tier'
  */
-export function getSupportedLocales() {
-  return ['en', 'es'];
+export function findLabelKey(name, locale = 'en', labels = getLabels(locale)) {
+  const keys = Object.keys(labels);
+  const exact = keys.find((key) => labels[key] === name);
+  if (exact) {
+    return exact;
+  }
+
+  const literalLength = (template) => template.replace(/\{\w+\}/g, '').length;
+  return keys
+    .filter((key) => labels[key].includes('{') && matchTemplate(labels[key], name))
+    .reduce((best, key) => (best === null || literalLength(labels[key]) > literalLength(labels[best]) ? key : best), null);
 }
 
 /**
- * Validate that all required label keys exist in a locale
- * Ensures translations are complete - useful in CI/CD
+ * Validate a locale's label and text maps against the source locale (EN)
+ * Ensures translations are complete and usable as selectors - useful in CI/CD
+ * 
+ * ERRORS (make the locale invalid):
+ * - Unknown locale (never silently validated as English)
+ * - missing: Keys in the source locale but not in this one
+ * - extra: Keys in this locale but not in the source (typos, removed keys)
+ * - empty: Empty or whitespace-only values
+ * - collisions: Labels sharing one accessible name (getByLabel can't tell them apart)
+ * 
+ * WARNINGS (reported, locale stays valid):
+ * - untranslated: Values identical to the source locale ('Error:' may be legitimate)
+ * 
+ * Text map keys are reported with a `text.` prefix (e.g., 'text.submit_button').
  * 
  * @param {string} locale - Locale to validate
- * @returns {{ valid: boolean, missing: string[] }} Validation result
+ * @returns {{
+ *   locale: string,
+ *   valid: boolean,
+ *   errors: string[],
+ *   missing: string[],
+ *   extra: string[],
+ *   empty: string[],
+ *   collisions: Array<{ name: string, keys: string[] }>,
+ *   untranslated: string[]
+ * }} Validation result
  * 
  * @example
  * const validation = validateLocale('es');
  * if (!validation.valid) {
- *   console.error('Missing Spanish labels:', validation.missing);
+ *   console.error(validation.errors.join('\n'));
  * }
  */
 export function validateLocale(locale) {
-  const labels = getLabels(locale);
-  const requiredKeys = Object.keys(enLabels); // EN is the source of truth
-  const missing = requiredKeys.filter(key => !labels[key]);
+  let chain;
+  try {
+    chain = resolveLocaleChain(locale);
+  } catch (error) {
+    return {
+      locale,
+      valid: false,
+      errors: [error.message],
+      missing: [],
+      extra: [],
+      empty: [],
+      collisions: [],
+      untranslated: [],
+    };
+  }
+  
+  // Regional overlays are partial by design: validate what the locale
+  // resolves to without the source fallback, so gaps still surface as missing
+  const layers = chain.filter(tag => tag !== SOURCE_LOCALE).reverse().map(tag => LOCALE_MAPS[tag]);
+  const maps = layers.length
+    ? {
+        labels: Object.assign({}, ...layers.map(layer => layer.labels)),
+        text: Object.assign({}, ...layers.map(layer => layer.text)),
+      }
+    : LOCALE_MAPS[SOURCE_LOCALE];
+  
+  return {
+    locale,
+    ...validateLabelMaps(maps, LOCALE_MAPS[SOURCE_LOCALE], { compareValues: layers.length > 0 }),
+  };
+}
+
+/**
+ * Validate a pair of label/text maps against source maps
+ * The building block of validateLocale, exported so the checks can be
+ * exercised with hand-made maps.
+ * 
+ * @param {{ labels: Object<string, string>, text?: Object<string, string> }} maps - Maps to validate
+ * @param {{ labels: Object<string, string>, text?: Object<string, string> }} source - Source locale maps
+ * @param {Object} [options]
+ * @param {boolean} [options.compareValues=true] - Report values identical to the source as untranslated
+ * @returns {Object} Validation result without `locale` (see validateLocale)
+ * 
+ * @example
+ * validateLabelMaps({ labels: { a: 'Same' , b: 'same' } }, { labels: { a: 'A', b: 'B' } });
+ * // collisions: [{ name: 'same', keys: ['a', 'b'] }]
+ */
+export function validateLabelMaps(maps, source, { compareValues = true } = {}) {
+  const missing = [];
+  const extra = [];
+  const empty = [];
+  const untranslated = [];
+  
+  for (const [mapName, prefix] of [['labels', ''], ['text', 'text.']]) {
+    const target = maps[mapName] || {};
+    const reference = source[mapName] || {};
+    
+    missing.push(...Object.keys(reference).filter(key => !(key in target)).map(key => prefix + key));
+    extra.push(...Object.keys(target).filter(key => !(key in reference)).map(key => prefix + key));
+    empty.push(...Object.keys(target)
+      .filter(key => typeof target[key] !== 'string' || target[key].trim() === '')
+      .map(key => prefix + key));
+    
+    if (compareValues) {
+      untranslated.push(...Object.keys(target)
+        .filter(key => key in reference && target[key] === reference[key])
+        .map(key => prefix + key));
+    }
+  }
+  
+  // Accessible names only - getByLabel is case-insensitive
+  const keysByName = new Map();
+  for (const [key, value] of Object.entries(maps.labels || {})) {
+    if (typeof value !== 'string' || value.trim() === '') continue;
+    const name = value.trim().toLowerCase();
+    keysByName.set(name, [...(keysByName.get(name) || []), key]);
+  }
+  const collisions = [...keysByName]
+    .filter(([, keys]) => keys.length > 1)
+    .map(([name, keys]) => ({ name, keys }));
+  
+  const errors = [
+    ...missing.map(key => `Missing key: ${key}`),
+    ...extra.map(key => `Extra key not in source locale: ${key}`),
+    ...empty.map(key => `Empty value: ${key}`),
+    ...collisions.map(({ name, keys }) => `Accessible name "${name}" used by: ${keys.join(', ')}`),
+  ];
   
   return {
-    valid: missing.length === 0,
+    valid: errors.length === 0,
+    errors,
     missing,
+    extra,
+    empty,
+    collisions,
+    untranslated,
   };
 }
@@ -0,0 +1,172 @@
+// tests/labels/labels.spec.js
+// Label Registry Validation - translations are complete and usable as selectors
+// No browser needed: these tests only read the label maps
+
+import { test, expect } from '@playwright/test';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import { getLabels, getText, getSupportedLocales, resolveLocaleChain, validateLocale, validateLabelMaps, findLabelKey } from './index.js';
+
+const run = promisify(execFile);
+const CLI = fileURLToPath(new URL('./validate.js', import.meta.url));
+
+// ============================================
+// SUPPORTED LOCALES
+// ============================================
+
+test.describe('Label Registry: Supported Locales', () => {
+
+  for (const locale of getSupportedLocales()) {
+    test(`${locale} labels are valid`, () => {
+      const result = validateLocale(locale);
+
+      expect(result.errors).toEqual([]);
+      expect(result.valid).toBe(true);
+    });
+  }
+
+  test('unknown locale is an error, not English', () => {
+    const result = validateLocale('fr');
+
+    expect(result.valid).toBe(false);
+    expect(result.errors[0]).toMatch(/Unknown locale "fr"/);
+  });
+
+  test('CLI passes for every supported locale', async () => {
+    const { stdout } = await run(process.execPath, [CLI]);
+
+    for (const locale of getSupportedLocales()) {
+      expect(stdout).toContain(`✓ ${locale}`);
+    }
+  });
+
+  test('CLI exits non-zero for an unknown locale', async () => {
+    const error = await run(process.execPath, [CLI, 'fr']).catch(error => error);
+
+    expect(error.code).toBe(1);
+    expect(error.stdout).toContain('✗ fr');
+  });
+});
+
+// ============================================
+// LOCALE FALLBACK CHAINS
+// ============================================
+
+test.describe('Label Registry: Locale Fallback', () => {
+
+  test('regional locale resolves through its language to English', () => {
+    expect(resolveLocaleChain('es-MX')).toEqual(['es-MX', 'es', 'en']);
+  });
+
+  test('unregistered region falls back to its registered language', () => {
+    expect(resolveLocaleChain('es_US')).toEqual(['es', 'en']);
+    expect(getLabels('es_US')).toEqual(getLabels('es'));
+    expect(getText('es-AR')).toEqual(getText('es'));
+    expect(validateLocale('es_US').valid).toBe(true);
+  });
+
+  test('locale only the English base could serve is unknown', () => {
+    expect(() => resolveLocaleChain('en-GB')).toThrow(/Unknown locale "en-GB"/);
+    expect(() => getLabels('en-GB')).toThrow(/Unknown locale "en-GB"/);
+    expect(validateLocale('en-GB').valid).toBe(false);
+  });
+
+  test('underscore and case variants are canonicalized', () => {
+    expect(resolveLocaleChain('es_US')).toEqual(['es', 'en']);
+    expect(resolveLocaleChain('ES_mx')).toEqual(['es-MX', 'es', 'en']);
+  });
+
+  test('regional overlay overrides only the keys it defines', () => {
+    const L = getLabels('es-MX');
+    const T = getText('es-MX');
+
+    expect(L.business_type).toBe('Giro del negocio');
+    expect(T.business_field).toBe('Giro del negocio');
+    expect(L.submit_quote).toBe(getLabels('es').submit_quote);
+    expect(T.quote_id_template).toBe(getText('es').quote_id_template);
+  });
+
+  test('unknown locale throws by default', () => {
+    expect(() => getLabels('fr')).toThrow(/Unknown locale "fr"/);
+    expect(() => getText('not a locale')).toThrow(/Invalid locale/);
+  });
+
+  test('lenient mode falls back to English', () => {
+    expect(getLabels('fr', { lenient: true })).toEqual(getLabels('en'));
+    expect(getText('fr-CA', { lenient: true })).toEqual(getText('en'));
+  });
+
+  test('supported locales come from the registered maps', () => {
+    expect(getSupportedLocales()).toEqual(expect.arrayContaining(['en', 'es', 'es-MX']));
+  });
+
+  test('accessible names map back to their label keys', () => {
+    expect(findLabelKey('Submit quote')).toBe('submit_quote');
+    expect(findLabelKey('Elegir nivel Oro', 'es')).toBe('choose_coverage_tier');
+    expect(findLabelKey('Submit quote', 'es')).toBeNull();
+  });
+
+  test('the most specific template wins when several match a name', () => {
+    const labels = {
+      choose_item: 'Choose {item}',
+      choose_coverage_tier: 'Choose {tier} tier',
+      coverage_item: '{item} coverage',
+    };
+
+    expect(findLabelKey('Choose Gold tier', 'en', labels)).toBe('choose_coverage_tier');
+    expect(findLabelKey('Choose Gold', 'en', labels)).toBe('choose_item');
+    expect(findLabelKey('Choose Gold tier', 'en', { ...labels, choose_exact: 'Choose Gold tier' })).toBe('choose_exact');
+    expect(findLabelKey('Pick Gold', 'en', labels)).toBeNull();
+  });
+});
+
+// ============================================
+// VALIDATION RULES
+// ============================================
+
+test.describe('Label Registry: Validation Rules', () => {
+  const source = {
+    labels: { submit_quote: 'Submit quote', loading: 'Loading' },
+    text: { submit_button: 'Get Quote' },
+  };
+
+  test('reports missing and extra keys', () => {
+    const result = validateLabelMaps({
+      labels: { submit_quote: 'Enviar cotización', lodaing: 'Cargando' },
+      text: { submit_button: 'Obtener cotización', footer: 'Pie' },
+    }, source);
+
+    expect(result.valid).toBe(false);
+    expect(result.missing).toEqual(['loading']);
+    expect(result.extra).toEqual(['lodaing', 'text.footer']);
+  });
+
+  test('reports empty and whitespace-only values', () => {
+    const result = validateLabelMaps({
+      labels: { submit_quote: '', loading: '   ' },
+      text: { submit_button: 'Obtener cotización' },
+    }, source);
+
+    expect(result.empty).toEqual(['submit_quote', 'loading']);
+  });
+
+  test('reports accessible names that collide within a locale', () => {
+    const result = validateLabelMaps({
+      labels: { submit_quote: 'Enviar', loading: 'enviar' },
+      text: { submit_button: 'Obtener cotización' },
+    }, source);
+
+    expect(result.collisions).toEqual([{ name: 'enviar', keys: ['submit_quote', 'loading'] }]);
+  });
+
+  test('reports untranslated values as warnings', () => {
+    const result = validateLabelMaps({
+      labels: { submit_quote: 'Enviar cotización', loading: 'Loading' },
+      text: { submit_button: 'Get Quote' },
+    }, source);
+
+    expect(result.valid).toBe(true);
+    expect(result.untranslated).toEqual(['loading', 'text.submit_button']);
+  });
+});
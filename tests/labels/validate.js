@@ -0,0 +1,37 @@
+/**
+ * @fileoverview Locale Validation CLI - Gate translations in CI
+ *
+ * Runs validateLocale() for the given locales (default: every supported locale)
+ * and exits non-zero when any of them is invalid.
+ *
+ * USAGE:
+ * node tests/labels/validate.js              # all supported locales
+ * node tests/labels/validate.js es           # one locale
+ * node tests/labels/validate.js --strict     # untranslated values fail too
+ * npm run labels:validate
+ */
+
+import { getSupportedLocales, validateLocale } from './index.js';
+
+const args = process.argv.slice(2);
+const strict = args.includes('--strict');
+const requested = args.filter(arg => !arg.startsWith('--'));
+const locales = requested.length ? requested : getSupportedLocales();
+
+let failed = false;
+
+for (const locale of locales) {
+  const result = validateLocale(locale);
+  const passed = result.valid && !(strict && result.untranslated.length);
+  failed ||= !passed;
+
+  console.log(`${passed ? '✓' : '✗'} ${locale}`);
+  for (const error of result.errors) {
+    console.log(`    error: ${error}`);
+  }
+  for (const key of result.untranslated) {
+    console.log(`    ${strict ? 'error' : 'warning'}: Same as source locale: ${key}`);
+  }
+}
+
+process.exitCode = failed ? 1 : 0;
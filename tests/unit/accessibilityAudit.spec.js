@@ -0,0 +1,57 @@
+// tests/unit/accessibilityAudit.spec.js
+// Accessibility Audit - Color math behind the color-contrast rule
+// No browser needed: these helpers are pure and also injected into the page by auditAccessibility
+
+import { test, expect } from '@playwright/test';
+import {
+  parseColor, gradientColors, compositeOver, contrastRatio, formatViolations, auditAccessibility,
+} from '../helpers/a11y/accessibilityAudit.js';
+
+const WHITE = { r: 255, g: 255, b: 255, a: 1 };
+const BLACK = { r: 0, g: 0, b: 0, a: 1 };
+
+test.describe('Accessibility Audit: Color Math', () => {
+
+  test('parses computed colors in comma and space syntax', () => {
+    expect(parseColor('rgb(17, 24, 39)')).toEqual({ r: 17, g: 24, b: 39, a: 1 });
+    expect(parseColor('rgba(255, 255, 255, 0.93)')).toEqual({ r: 255, g: 255, b: 255, a: 0.93 });
+    expect(parseColor('rgb(1 2 3 / 50%)')).toEqual({ r: 1, g: 2, b: 3, a: 0.5 });
+    expect(parseColor('color(display-p3 1 0 0)')).toBeNull();
+  });
+
+  test('reads the color stops of computed gradients', () => {
+    expect(gradientColors('linear-gradient(135deg, rgb(90, 103, 216) 0%, rgb(107, 70, 193) 100%)')).toEqual([
+      { r: 90, g: 103, b: 216, a: 1 },
+      { r: 107, g: 70, b: 193, a: 1 },
+    ]);
+    expect(gradientColors('url("bubbles.png")')).toEqual([]);
+    expect(gradientColors('none')).toEqual([]);
+  });
+
+  test('contrast ratios match WCAG reference values', () => {
+    expect(contrastRatio(BLACK, WHITE)).toBeCloseTo(21, 5);
+    expect(contrastRatio(WHITE, WHITE)).toBe(1);
+    // #767676 is the lightest gray that passes 4.5:1 on white
+    expect(contrastRatio(parseColor('rgb(118, 118, 118)'), WHITE)).toBeGreaterThanOrEqual(4.5);
+    expect(contrastRatio(parseColor('rgb(119, 119, 119)'), WHITE)).toBeLessThan(4.5);
+  });
+
+  test('translucent layers are composited over what is below', () => {
+    expect(compositeOver({ ...WHITE, a: 0.8 }, BLACK)).toEqual({ r: 204, g: 204, b: 204, a: 1 });
+    expect(compositeOver({ ...BLACK, a: 0 }, WHITE)).toEqual(WHITE);
+  });
+});
+
+test.describe('Accessibility Audit: Reporting', () => {
+
+  test('violations read one per line', () => {
+    expect(formatViolations([
+      { rule: 'color-contrast', element: 'footer', message: 'contrast 2.48:1 is below 4.5:1' },
+      { rule: 'accessible-name', element: 'button#empty', message: 'has no accessible name' },
+    ])).toBe('[color-contrast] footer: contrast 2.48:1 is below 4.5:1\n[accessible-name] button#empty: has no accessible name');
+  });
+
+  test('unknown rules are rejected before touching the page', async () => {
+    await expect(auditAccessibility(null, { rules: ['color-contrast', 'alt-text'] })).rejects.toThrow(/Unknown accessibility rule\(s\): alt-text/);
+  });
+});
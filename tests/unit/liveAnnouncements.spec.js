@@ -0,0 +1,51 @@
+// tests/unit/liveAnnouncements.spec.js
+// Live Announcements - Matching and reporting recorded announcement sequences
+// No browser needed: the matchers only read a recorder's announcements()
+
+import { test } from '@playwright/test';
+import { expect, matchesAnnouncement, formatAnnouncements } from '../helpers/fixtures/liveAnnouncements.js';
+
+const LOADING = { key: 'loading', politeness: 'polite', text: 'Calculating your quote…' };
+const RESULT = { key: 'quote_result', politeness: 'polite', text: 'Your Insurance Quote $1,437.50 Annual Premium' };
+const ERROR = { key: 'error_message', politeness: 'assertive', text: 'Error: Please check your details: Invalid revenue' };
+
+// Stands in for the fixture: a recorder whose page already announced these
+const recorded = (...announcements) => ({ announcements: async () => announcements });
+
+test.describe('Live Announcements: Matching', () => {
+
+  test('entries match by key, then optionally politeness and text', () => {
+    expect(matchesAnnouncement(RESULT, 'quote_result')).toBe(true);
+    expect(matchesAnnouncement(RESULT, { key: 'quote_result', text: '$1,437.50' })).toBe(true);
+    expect(matchesAnnouncement(RESULT, { key: 'quote_result', text: /\$1,4\d\d\.50/ })).toBe(true);
+    expect(matchesAnnouncement(RESULT, { key: 'quote_result', politeness: 'assertive' })).toBe(false);
+    expect(matchesAnnouncement(RESULT, 'loading')).toBe(false);
+  });
+
+  test('toHaveAnnounced wants the exact sequence, toHaveAnnouncedInOrder a subsequence', async () => {
+    const flow = recorded(LOADING, ERROR, LOADING, RESULT);
+
+    await expect(flow).toHaveAnnounced(['loading', 'error_message', 'loading', 'quote_result']);
+    await expect(flow).not.toHaveAnnounced(['loading', 'quote_result'], { timeout: 0 });
+    await expect(flow).toHaveAnnouncedInOrder(['error_message', { key: 'quote_result', politeness: 'polite' }]);
+    await expect(flow).not.toHaveAnnouncedInOrder(['quote_result', 'error_message'], { timeout: 0 });
+  });
+});
+
+test.describe('Live Announcements: Reporting', () => {
+
+  test('announcements read one per line, numbered', () => {
+    expect(formatAnnouncements([LOADING, ERROR])).toBe(
+      '1. loading (polite): "Calculating your quote…"\n' +
+      '2. error_message (assertive): "Error: Please check your details: Invalid revenue"'
+    );
+    expect(formatAnnouncements([])).toBe('(nothing announced)');
+  });
+
+  test('a failed sequence shows what was expected and what was announced', async () => {
+    const failure = await expect(recorded(LOADING)).toHaveAnnounced(['loading', 'quote_result'], { timeout: 0 }).catch((error) => error);
+
+    expect(failure.message).toContain('Expected to announce exactly: loading → quote_result');
+    expect(failure.message).toContain('1. loading (polite): "Calculating your quote…"');
+  });
+});
@@ -0,0 +1,84 @@
+// tests/unit/localeParsing.spec.js
+// Locale Parsing - localized result text reads back into numbers, currencies and dates
+// No browser needed: the page's text is reproduced with the same Intl formatters
+
+import { test, expect } from '@playwright/test';
+import { parseLocalizedNumber, parseLocalizedCurrency, parseLocalizedDate } from '../helpers/intl/localeParsing.js';
+import { formatPremium, formatTimestamp, TIMESTAMP_FORMAT } from '../../shared/resultFormat.js';
+import { getSupportedLocales } from '../labels/index.js';
+
+const INSTANT = new Date('2026-10-19T15:04:05Z');
+
+// ============================================
+// NUMBERS AND CURRENCY
+// ============================================
+
+test.describe('Locale Parsing: Numbers and Currency', () => {
+
+  test('separators follow the locale', () => {
+    expect(parseLocalizedNumber('1,234.56', 'en')).toBe(1234.56);
+    expect(parseLocalizedNumber('1.234,56', 'es')).toBe(1234.56);
+    expect(parseLocalizedNumber('× 1,10', 'es')).toBe(1.1);
+    expect(parseLocalizedNumber('n/a', 'en')).toBeNaN();
+  });
+
+  test('premiums formatted by Intl parse back to amount and currency', () => {
+    for (const locale of ['en', 'es', 'es-MX', 'de', 'fr']) {
+      const text = new Intl.NumberFormat(locale, { style: 'currency', currency: 'USD' }).format(12345.6);
+
+      expect(parseLocalizedCurrency(text, locale), `${locale}: ${text}`).toEqual({ amount: 12345.6, currency: 'USD' });
+    }
+  });
+
+  test('the locale decides which currency a bare "$" means', () => {
+    expect(parseLocalizedCurrency('$1,150.00', 'en').currency).toBe('USD');
+    expect(parseLocalizedCurrency('$1,150.00', 'es-MX').currency).toBe('MXN');
+    expect(parseLocalizedCurrency('1150,00 US$', 'es').currency).toBe('USD');
+  });
+
+  test('text without a currency marker has no currency', () => {
+    expect(parseLocalizedCurrency('1,150.00', 'en')).toEqual({ amount: 1150, currency: null });
+  });
+});
+
+// ============================================
+// DATES
+// ============================================
+
+test.describe('Locale Parsing: Dates', () => {
+
+  test('toLocaleString output parses back to the same instant', () => {
+    for (const [locale, timeZone] of [['en', 'America/Chicago'], ['es', 'Europe/Madrid'], ['es-MX', 'America/Mexico_City'], ['de', 'Asia/Tokyo']]) {
+      const text = INSTANT.toLocaleString(locale, { timeZone });
+
+      expect(parseLocalizedDate(text, locale, { timeZone }), `${locale}: ${text}`).toEqual(INSTANT);
+    }
+  });
+
+  test('month names and explicit formats are supported', () => {
+    const format = { dateStyle: 'long', timeStyle: 'medium' };
+    for (const locale of ['en', 'es']) {
+      const text = new Intl.DateTimeFormat(locale, { ...format, timeZone: 'UTC' }).format(INSTANT);
+
+      expect(parseLocalizedDate(text, locale, { timeZone: 'UTC', format }), `${locale}: ${text}`).toEqual(INSTANT);
+    }
+  });
+
+  test('results the page renders parse back in every supported locale', () => {
+    for (const locale of getSupportedLocales()) {
+      const timeZone = 'America/Chicago';
+      const timestamp = formatTimestamp(INSTANT, { locale, timeZone });
+      const premium = formatPremium(1437.5, { locale, currency: 'USD' });
+
+      expect(parseLocalizedDate(timestamp, locale, { timeZone, format: TIMESTAMP_FORMAT }), `${locale}: ${timestamp}`).toEqual(INSTANT);
+      expect(parseLocalizedCurrency(premium, locale), `${locale}: ${premium}`).toEqual({ amount: 1437.5, currency: 'USD' });
+    }
+  });
+
+  test('text in another locale\'s format is rejected', () => {
+    const text = INSTANT.toLocaleString('es', { timeZone: 'UTC' });
+
+    expect(parseLocalizedDate(text, 'en', { timeZone: 'UTC' })).toBeNull();
+    expect(parseLocalizedDate('soon', 'en')).toBeNull();
+  });
+});
@@ -0,0 +1,201 @@
+// tests/unit/openApiValidator.spec.js
+// OpenAPI Validator - the contract checker itself, the contract's enums and the page mocks
+// No browser or server needed: schemas and bodies are checked directly
+
+import { test, expect } from '@playwright/test';
+import { loadContract, validateSchema, validateResponse, validateRequestBody, findPath } from '../helpers/contract/openApiValidator.js';
+import { contractPath } from '../helpers/fixtures/ratingApiContract.js';
+import { SCENARIOS } from '../helpers/fixtures/ratingApiMock.js';
+import { STATE_CODES, BUSINESS_TYPES, COVERAGE_TIERS } from '../../shared/productRules.js';
+
+const contract = loadContract();
+
+const RATED = {
+  premium: 1150,
+  currency: 'USD',
+  quoteId: 'Q-1730822400000-K3J9X2',
+  calculatedAt: '2026-10-19T15:04:05.000Z',
+  breakdown: { base: 1000, stateFactor: 1.15, businessFactor: 1, coverageFactor: 1 },
+};
+
+// ============================================
+// SCHEMA KEYWORDS
+// ============================================
+
+test.describe('OpenAPI Validator: Schemas', () => {
+
+  test('violations name the path and the problem', () => {
+    const schema = {
+      type: 'object',
+      required: ['premium', 'quoteId'],
+      additionalProperties: false,
+      properties: {
+        premium: { type: 'number', minimum: 0 },
+        quoteId: { type: 'string', pattern: '^Q-' },
+        tags: { type: 'array', items: { enum: ['a', 'b'] } },
+      },
+    };
+
+    expect(validateSchema(schema, { premium: -1, quoteId: 'X', tags: ['a', 'c'], extra: 1 })).toEqual([
+      '$: unexpected property "extra"',
+      '$.premium: -1 is less than 0',
+      '$.quoteId: "X" does not match /^Q-/',
+      '$.tags[1]: "c" is not one of ["a","b"]',
+    ]);
+    expect(validateSchema(schema, { premium: 1 })).toEqual(['$: missing required property "quoteId"']);
+    expect(validateSchema(schema, [])).toEqual(['$: expected object, got array']);
+  });
+
+  test('$ref, allOf, oneOf and date-time are enforced', () => {
+    const root = {
+      defs: { Id: { type: 'string', minLength: 2 } },
+      schema: {
+        allOf: [{ $ref: '#/defs/Id' }, { oneOf: [{ const: 'ab' }, { format: 'date-time' }] }],
+      },
+    };
+
+    expect(validateSchema(root.schema, 'ab', { root })).toEqual([]);
+    expect(validateSchema(root.schema, '2026-10-19T15:04:05Z', { root })).toEqual([]);
+    expect(validateSchema(root.schema, 'a', { root })).toEqual([
+      '$: shorter than 2 characters',
+      '$: matches 0 of the oneOf schemas (expected exactly 1)',
+    ]);
+    expect(validateSchema({ format: 'date-time' }, '10/19/2026')).toEqual(['$: "10/19/2026" is not an RFC 3339 date-time']);
+  });
+
+  test('type accepts unions, tells integers from numbers and rejects non-finite numbers', () => {
+    expect(validateSchema({ type: ['string', 'null'] }, null)).toEqual([]);
+    expect(validateSchema({ type: ['string', 'null'] }, 1)).toEqual(['$: expected string or null, got integer']);
+    expect(validateSchema({ type: 'integer' }, 2)).toEqual([]);
+    expect(validateSchema({ type: 'integer' }, 2.5)).toEqual(['$: expected integer, got number']);
+    expect(validateSchema({ type: 'number' }, 2)).toEqual([]);
+    expect(validateSchema({ type: 'number' }, Infinity)).toEqual(['$: expected number, got number']);
+    expect(validateSchema({ type: 'boolean', const: true }, 'true')).toEqual(['$: expected boolean, got string']);
+  });
+
+  test('anyOf needs one match, oneOf exactly one, const an equal value', () => {
+    const schema = { oneOf: [{ type: 'integer' }, { type: 'number', minimum: 10 }] };
+
+    expect(validateSchema(schema, 2.5)).toEqual(['$: matches 0 of the oneOf schemas (expected exactly 1)']);
+    expect(validateSchema(schema, 5)).toEqual([]);
+    expect(validateSchema(schema, 12)).toEqual(['$: matches 2 of the oneOf schemas (expected exactly 1)']);
+    expect(validateSchema({ anyOf: schema.oneOf }, 12)).toEqual([]);
+    expect(validateSchema({ anyOf: [{ const: 'a' }, { const: 'b' }] }, 'c')).toEqual(['$: does not match any of the allowed schemas']);
+  });
+
+  test('bounds are inclusive or exclusive as written, lengths count characters', () => {
+    const revenue = { minimum: 0, maximum: 10 };
+    const factor = { exclusiveMinimum: 0, exclusiveMaximum: 1 };
+
+    expect(validateSchema(revenue, 0)).toEqual([]);
+    expect(validateSchema(revenue, 10)).toEqual([]);
+    expect(validateSchema(revenue, 11)).toEqual(['$: 11 is greater than 10']);
+    expect(validateSchema(factor, 0)).toEqual(['$: 0 is not greater than 0']);
+    expect(validateSchema(factor, 1)).toEqual(['$: 1 is not less than 1']);
+    expect(validateSchema(factor, 0.5)).toEqual([]);
+    expect(validateSchema({ minLength: 1, maxLength: 2 }, 'ñé')).toEqual([]);
+    expect(validateSchema({ maxLength: 2 }, 'abc')).toEqual(['$: longer than 2 characters']);
+    expect(validateSchema({ minLength: 1, minimum: 5 }, true)).toEqual([]);
+  });
+
+  test('additionalProperties can be a schema; annotations constrain nothing', () => {
+    const schema = {
+      title: 'Factors',
+      description: 'Named multipliers',
+      properties: { base: { type: 'number', default: 0, examples: [1000] } },
+      additionalProperties: { type: 'number', deprecated: true },
+    };
+
+    expect(validateSchema(schema, { base: 1000, stateFactor: 1.15 })).toEqual([]);
+    expect(validateSchema(schema, { base: 1000, stateFactor: '1.15' })).toEqual(['$.stateFactor: expected number, got string']);
+  });
+
+  test('$ref pointers resolve into the document, escapes included', () => {
+    const root = { components: { 'a/b': { type: 'string' }, 'c~d': { type: 'integer' } } };
+
+    expect(validateSchema({ $ref: '#/components/a~1b' }, 1, { root })).toEqual(['$: expected string, got integer']);
+    expect(validateSchema({ $ref: '#/components/c~0d' }, 1, { root })).toEqual([]);
+    expect(validateSchema({ $ref: '#/components/schemas/RateResponse' }, RATED, { root: contract })).toEqual([]);
+    expect(() => validateSchema({ $ref: '#/components/missing' }, 1, { root })).toThrow(/Unresolvable \$ref "#\/components\/missing"/);
+  });
+
+  test('unsupported keywords throw instead of passing silently', () => {
+    expect(() => validateSchema({ multipleOf: 2 }, 4)).toThrow(/Unsupported JSON Schema keyword "multipleOf"/);
+    expect(() => validateSchema({ format: 'email' }, 'a@b.c')).toThrow(/Unsupported format "email"/);
+    expect(() => validateSchema({ $ref: 'other.json#/x' }, 1)).toThrow(/Only local \$ref/);
+    // Even when the value already fails an earlier keyword, or the keyword is nested
+    expect(() => validateSchema({ type: 'string', multipleOf: 2 }, 4)).toThrow(/Unsupported JSON Schema keyword "multipleOf" at \$/);
+    expect(() => validateSchema({ format: 'uri' }, 4)).toThrow(/Unsupported format "uri" at \$/);
+    expect(() => validateSchema({ properties: { tags: { items: { uniqueItems: true } } } }, { tags: ['a'] }))
+      .toThrow(/Unsupported JSON Schema keyword "uniqueItems" at \$\.tags\[0\]/);
+    expect(() => validateSchema({ anyOf: [{ type: 'string' }, { not: { type: 'string' } }] }, 1))
+      .toThrow(/Unsupported JSON Schema keyword "not"/);
+  });
+});
+
+// ============================================
+// OPERATIONS
+// ============================================
+
+test.describe('OpenAPI Validator: Responses', () => {
+
+  test('responses are matched to their operation and status', () => {
+    expect(findPath(contract, '/quotes/Q-1-AB').template).toBe('/quotes/{quoteId}');
+    expect(contractPath('http://localhost:4000/quotes/Q-1-AB?x=1', 'http://localhost:4000/rate')).toBe('/quotes/Q-1-AB');
+    expect(contractPath('http://localhost:5000/rate', 'http://localhost:4000/rate')).toBeNull();
+
+    expect(validateResponse(contract, { method: 'POST', path: '/rate', status: 200, body: RATED })).toEqual([]);
+    expect(validateResponse(contract, { method: 'POST', path: '/rate', status: 503, body: { error: 'Service unavailable' } })).toEqual([]);
+    expect(validateResponse(contract, { method: 'POST', path: '/rate', status: 200, body: { ...RATED, quoteId: 'abc' } })).toEqual([
+      'POST /rate → 200: $.quoteId: "abc" does not match /^Q-\\d+-[A-Z0-9]+$/',
+    ]);
+    expect(validateResponse(contract, { method: 'POST', path: '/rate', status: 201, body: RATED })[0]).toMatch(/status is not documented/);
+    expect(validateResponse(contract, { method: 'GET', path: '/health', status: 200, body: {} })).toEqual(['GET /health: path is not documented']);
+  });
+
+  test('error bodies are { error, message? } with documented reasons', () => {
+    const rejected = (body) => validateResponse(contract, { method: 'POST', path: '/rate', status: 400, body });
+
+    expect(rejected({ error: 'Invalid revenue' })).toEqual([]);
+    expect(rejected({ error: 'Invalid revenue', message: 'Revenue must be zero or more' })).toEqual([]);
+    expect(rejected({ message: 'Invalid revenue' })).toEqual(['POST /rate → 400: $: missing required property "error"']);
+    expect(rejected({ error: 'Bad things' })[0]).toMatch(/"Bad things" is not one of/);
+    expect(validateResponse(contract, { method: 'PUT', path: '/quotes/Q-1-AB', status: 405, body: { error: 'Method not allowed' } })).toEqual([]);
+    expect(validateResponse(contract, { method: 'PUT', path: '/quotes/Q-1-AB', status: 200, body: {} })[0]).toMatch(/method is not documented/);
+  });
+});
+
+// ============================================
+// THE CONTRACT ITSELF
+// ============================================
+
+test.describe('OpenAPI Contract: Consistency', () => {
+
+  test('enums list exactly the product rules', () => {
+    const { schemas } = contract.components;
+
+    expect(schemas.StateCode.enum).toEqual(STATE_CODES);
+    expect(schemas.BusinessType.enum).toEqual(BUSINESS_TYPES);
+    expect(schemas.CoverageTier.enum).toEqual(COVERAGE_TIERS);
+    expect(validateRequestBody(contract, { method: 'POST', path: '/rate', body: { revenue: 1, state: 'WI', business: 'retail' } })).toEqual([]);
+  });
+
+  test('the page mocks answer within the contract', async () => {
+    const scenarios = [
+      ['success', {}, 200],
+      ['slow', { delayMs: 0 }, 200],
+      ['badRequest', { error: 'Invalid business type', message: 'Pick a business type' }, 400],
+      ['serverError', {}, 500],
+      ['serverError', { status: 503, message: 'Down for maintenance' }, 503],
+      ['flaky', { failures: 1 }, 503],
+    ];
+
+    for (const [name, options, expectedStatus] of scenarios) {
+      let fulfilled;
+      await SCENARIOS[name](options)({ fulfill: async (response) => { fulfilled = response; } });
+
+      expect(fulfilled.status, name).toBe(expectedStatus);
+      expect(validateResponse(contract, { method: 'POST', path: '/rate', status: fulfilled.status, body: fulfilled.json }), name).toEqual([]);
+    }
+  });
+});
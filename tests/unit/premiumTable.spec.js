@@ -0,0 +1,67 @@
+// tests/unit/premiumTable.spec.js
+// Premium Table - Golden-master grid, CSV round trip and diff reporting
+// No API needed: the recorded table is checked against the product grid here,
+// premiums against the API in tests/api/premium-golden-master.spec.js
+
+import { test, expect } from '@playwright/test';
+import {
+  premiumGrid, readPremiumTable, formatPremiumTable, parsePremiumTable, diffPremiumTables, formatPremiumDiff,
+  expectedPremium, GOLDEN_REVENUES,
+} from '../helpers/golden/premiumTable.js';
+import { STATE_CODES, V1_STATES, V2_STATES, BUSINESS_TYPES, COVERAGE_TIERS } from '../../shared/productRules.js';
+
+const row = (overrides) => ({ state: 'WI', business: 'retail', coverage: 'gold', revenue: 50000, premium: 1437.5, currency: 'USD', ...overrides });
+
+test.describe('Premium Table: Grid', () => {
+
+  test('covers every quotable combination at every representative revenue', () => {
+    const grid = premiumGrid();
+    const combinations = (V2_STATES.length * COVERAGE_TIERS.length + V1_STATES.length) * BUSINESS_TYPES.length;
+
+    expect(grid).toHaveLength(combinations * GOLDEN_REVENUES.length);
+    expect(new Set(grid.map((cell) => cell.state))).toEqual(new Set(STATE_CODES));
+    expect(grid.filter((cell) => V1_STATES.includes(cell.state)).every((cell) => cell.coverage === 'none')).toBe(true);
+  });
+
+  test('the recorded table has exactly the cells of the current grid', () => {
+    const recorded = readPremiumTable();
+    expect(recorded, 'No premium table recorded - run npm run golden:update').not.toBeNull();
+
+    const rated = premiumGrid().map((cell) => ({ ...cell, premium: expectedPremium(cell, recorded), currency: 'USD' }));
+    expect(formatPremiumDiff(diffPremiumTables(recorded, rated))).toBe('');
+  });
+});
+
+test.describe('Premium Table: CSV and Diffs', () => {
+
+  test('rows survive a CSV round trip with premiums to the cent', () => {
+    const rows = [row(), row({ state: 'TX', coverage: 'none', revenue: 12345.67, premium: 246.91 })];
+    const csv = formatPremiumTable(rows);
+
+    expect(csv).toContain('\nWI,retail,gold,50000,1437.50,USD\n');
+    expect(parsePremiumTable(csv)).toEqual(rows);
+    expect(() => parsePremiumTable('state,premium\nWI,1')).toThrow(/header must be/);
+  });
+
+  test('each changed, missing and unrecorded cell gets its own line', () => {
+    const recorded = [row(), row({ coverage: 'none', premium: 1150 }), row({ state: 'ZZ' })];
+    const rated = [
+      row({ premium: 1581.25 }),
+      row({ coverage: 'none', error: 'Invalid state', premium: undefined, currency: undefined }),
+      row({ state: 'MN', premium: 1500 }),
+    ];
+
+    expect(formatPremiumDiff(diffPremiumTables(recorded, rated))).toBe([
+      '4 cells differ from tests/golden/premium-table.csv:',
+      '~ WI retail gold 50000: 1437.50 USD → 1581.25 USD (+143.75, +10.00%)',
+      '~ WI retail none 50000: 1150.00 USD → error "Invalid state"',
+      '+ MN retail gold 50000: 1500.00 USD (not recorded)',
+      '- ZZ retail gold 50000: 1437.50 USD (no longer in the grid)',
+    ].join('\n'));
+  });
+
+  test('premiums equal to the cent are not a change', () => {
+    expect(diffPremiumTables([row()], [row({ premium: 1437.5000000001 })])).toEqual([]);
+    expect(() => expectedPremium({ state: 'WI', business: 'retail', revenue: 123 }, [row()])).toThrow(/GOLDEN_REVENUES/);
+  });
+});
@@ -0,0 +1,103 @@
+// tests/unit/propertyTesting.spec.js
+// Property Testing Harness - seeded generation, shrinking, failure reports and the rate request generators
+// No browser or server needed: properties here are plain functions
+
+import { test, expect } from '@playwright/test';
+import { createRandom, checkProperty, integer, constantFrom, record, resolvePropertySeed, CI_PROPERTY_SEED } from '../helpers/property/propertyTesting.js';
+import { validRateRequest, invalidRateRequest, revenuePair } from '../helpers/property/rateRequests.js';
+import { validateRateRequest } from '../../fake-backend/ratingEngine.js';
+import { loadContract, validateRequestBody } from '../helpers/contract/openApiValidator.js';
+import { PRODUCT_RULES } from '../../shared/productRules.js';
+
+const sample = (generator, count, seed = 1) => {
+  const random = createRandom(seed);
+  return Array.from({ length: count }, () => generator.generate(random));
+};
+
+// ============================================
+// HARNESS
+// ============================================
+
+test.describe('Property Testing: Harness', () => {
+
+  test('a seed always produces the same inputs', () => {
+    const revenue = integer({ min: 0, max: PRODUCT_RULES.maxRevenue });
+
+    expect(sample(revenue, 50, 42)).toEqual(sample(revenue, 50, 42));
+    expect(sample(revenue, 50, 42)).not.toEqual(sample(revenue, 50, 43));
+  });
+
+  test('CI runs of a commit share a seed; PROPERTY_SEED overrides it', () => {
+    const sha = '8dac7c6e0f1b2a3c4d5e6f708192a3b4c5d6e7f8';
+
+    expect(resolvePropertySeed({ CI: '1', GITHUB_SHA: sha })).toBe(0x8dac7c6e);
+    expect(resolvePropertySeed({ CI: '1', CI_COMMIT_SHA: sha })).toBe(0x8dac7c6e);
+    expect(resolvePropertySeed({ CI: '1' })).toBe(CI_PROPERTY_SEED);
+    expect(resolvePropertySeed({ CI: '1', GITHUB_SHA: sha, PROPERTY_SEED: '42' })).toBe(42);
+    expect(resolvePropertySeed({ PROPERTY_SEED: '42' })).toBe(42);
+  });
+
+  test('integers stay in range and reach both bounds', () => {
+    const values = sample(integer({ min: -5, max: 1000 }), 2000);
+
+    expect(Math.min(...values)).toBe(-5);
+    expect(Math.max(...values)).toBe(1000);
+    expect(values.every(Number.isInteger)).toBe(true);
+  });
+
+  test('a failure shrinks to the minimal input and reports the seed', async () => {
+    const failure = checkProperty('revenue under 100', integer({ max: 1e9 }), (revenue) => revenue < 100, { seed: 7 });
+
+    await expect(failure).rejects.toThrow(/Property "revenue under 100" failed on run \d+ of 200 \(seed 7\)/);
+    await expect(failure).rejects.toThrow(/Minimal failing input \(after \d+ shrinks\):\n {2}100\n/);
+    await expect(failure).rejects.toThrow(/Replay with: PROPERTY_SEED=7$/);
+  });
+
+  test('records shrink each field toward its simplest value', async () => {
+    const generator = record({
+      state: constantFrom('WI', 'OH', 'TX'),
+      revenue: integer({ max: 1e9 }),
+    });
+    let counterexample;
+
+    await checkProperty('TX or small', generator, ({ state, revenue }) => {
+      if (state !== 'TX' && revenue >= 500) throw new Error(`${state} ${revenue}`);
+    }, { seed: 11 }).catch((error) => { counterexample = error.counterexample; });
+
+    expect(counterexample).toEqual({ state: 'WI', revenue: 500 });
+  });
+
+  test('a property that holds reports what it checked', async () => {
+    expect(await checkProperty('always', constantFrom(1), () => true, { seed: 3, runs: 10 })).toEqual({ seed: 3, runs: 10 });
+  });
+});
+
+// ============================================
+// RATE REQUEST GENERATORS
+// ============================================
+
+test.describe('Property Testing: Rate Requests', () => {
+
+  test('valid requests are documented requests the engine accepts', () => {
+    const contract = loadContract();
+
+    for (const body of sample(validRateRequest, 500)) {
+      expect(validateRequestBody(contract, { method: 'POST', path: '/rate', body }), JSON.stringify(body)).toEqual([]);
+      expect(validateRateRequest(body), JSON.stringify(body)).toBeNull();
+    }
+    for (const { body, lowRevenue, highRevenue } of sample(revenuePair, 200)) {
+      expect(body.revenue).toBe(lowRevenue);
+      expect(highRevenue).toBeGreaterThan(lowRevenue);
+    }
+  });
+
+  test('invalid requests fail the engine with their error family', () => {
+    const families = new Set();
+
+    for (const { body, family, errors } of sample(invalidRateRequest, 500)) {
+      families.add(family);
+      expect(errors, `${JSON.stringify(body)} (${family})`).toContain(validateRateRequest(body));
+    }
+    expect(families.size, 'every defect is generated').toBe(7);
+  });
+});
@@ -0,0 +1,87 @@
+// tests/unit/scenarioRunner.spec.js
+// Scenario Runner - Load-time validation of tests/scenarios/*.json
+// No browser needed: files are checked against the label registry and the
+// flow list before tests/integration/scenarios.spec.js runs any of them
+
+import { test, expect } from '@playwright/test';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { loadScenarioFiles, validateScenarioFile, describeStep } from '../helpers/scenarios/scenarioRunner.js';
+
+// One scenario with these steps
+const withSteps = (...steps) => ({ title: 'Quotes', scenarios: [{ name: 'a quote', steps }] });
+
+test.describe('Scenario Runner: Validation', () => {
+
+  test('the shipped scenario files are valid', () => {
+    const files = loadScenarioFiles();
+
+    expect(files.length).toBeGreaterThan(0);
+    expect(files.every(({ scenarios }) => scenarios.length > 0)).toBe(true);
+  });
+
+  test('unknown label keys and flow names are reported with file and step', () => {
+    const problems = validateScenarioFile(withSteps(
+      { select: 'customer_state', value: 'WI' },
+      { click: 'submit_qoute' },
+      { flow: 'getQoute', with: { state: 'WI' } },
+      { expect: 'premium_amunt', between: [1000, 1200] },
+    ), 'quotes.json');
+
+    expect(problems).toEqual([
+      'quotes.json: scenarios[0].steps[1]: unknown label key "submit_qoute"',
+      'quotes.json: scenarios[0].steps[2]: unknown flow "getQoute" (flows: getQuote, fillQuoteForm, submitQuote, compareCoverage)',
+      'quotes.json: scenarios[0].steps[3]: unknown label key "premium_amunt"',
+    ]);
+  });
+
+  test('malformed steps, options and expectations are reported', () => {
+    const problems = validateScenarioFile(withSteps(
+      { type: 'annual_revenue' },
+      { fill: 'annual_revenue', vaule: '50000' },
+      { flow: 'getQuote', with: { state: 'WI', revnue: '50000' } },
+      { expect: 'quote_result', is: 'shown' },
+      { expect: 'premium_amount', between: [1200, 1000] },
+      { click: 'choose_coverage_tier' },
+    ), 'quotes.json');
+
+    expect(problems).toEqual([
+      'quotes.json: scenarios[0].steps[0]: unknown step {"type":"annual_revenue"} (steps: select, fill, check, click, flow, expect)',
+      'quotes.json: scenarios[0].steps[1]: "fill" step does not take "vaule"',
+      'quotes.json: scenarios[0].steps[1]: "fill" step needs a string "value"',
+      'quotes.json: scenarios[0].steps[2]: getQuote has no option(s) revnue (options: state, business, revenue, coverage, input)',
+      'quotes.json: scenarios[0].steps[3]: unknown state "shown" (states: visible, hidden, enabled, disabled, checked, unchecked)',
+      'quotes.json: scenarios[0].steps[4]: "between" must be [min, max] numbers with min <= max',
+      'quotes.json: scenarios[0].steps[5]: label key "choose_coverage_tier" is a template ("Choose {tier} tier") - scenarios can only name fixed labels',
+    ]);
+    expect(validateScenarioFile({ scenarios: [] }, 'empty.json')).toEqual([
+      'empty.json: missing "title"',
+      'empty.json: "scenarios" must be a non-empty array',
+    ]);
+  });
+
+  test('loading fails with every problem of every file', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'scenarios-'));
+    try {
+      writeFileSync(join(dir, 'a.json'), '{ "title": ');
+      writeFileSync(join(dir, 'b.json'), JSON.stringify(withSteps({ expect: 'quote_reslt', is: 'visible' })));
+      writeFileSync(join(dir, 'c.json'), JSON.stringify(withSteps({ flow: 'submitQuote' })));
+
+      expect(() => loadScenarioFiles(dir)).toThrow(/a\.json: invalid JSON[^\n]*\n  - b\.json: scenarios\[0\]\.steps\[0\]: unknown label key "quote_reslt"$/);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+test.describe('Scenario Runner: Reporting', () => {
+
+  test('steps read back in the words of the scenario file', () => {
+    expect(describeStep({ expect: 'premium_amount', between: [1000, 1200] })).toBe('premium_amount is between 1000 and 1200');
+    expect(describeStep({ expect: 'coverage_unavailable_notice', is: 'visible' })).toBe('coverage_unavailable_notice is visible');
+    expect(describeStep({ select: 'customer_state', value: 'TX' })).toBe('select customer_state = "TX"');
+    expect(describeStep({ click: 'submit_quote' })).toBe('click submit_quote');
+    expect(describeStep({ flow: 'getQuote', with: { state: 'WI' } })).toBe('getQuote({"state":"WI"})');
+  });
+});